@@ -3,7 +3,7 @@
  * @author tuomashatakka
  */
 
-import type { Rule } from 'eslint';
+import type { ESLint, Rule } from 'eslint';
 
 declare namespace pythonStylePlugin {
   export interface RuleDefinitions {
@@ -14,6 +14,49 @@ declare namespace pythonStylePlugin {
     'multiline-format': Rule.RuleModule;
   }
 
+  export type MatchKeyword =
+    | 'static'
+    | 'constructor'
+    | 'private'
+    | 'get'
+    | 'set'
+    | 'async'
+    | 'generator'
+    | 'accessor'
+    | 'arrow'
+    | 'public'
+    | 'protected'
+    | 'readonly'
+    | 'abstract'
+    | 'override'
+    | 'declare'
+    | 'optional'
+    | 'parameter-properties';
+
+  export type SortStrategy = 'none' | 'alphabetical' | 'case-insensitive' | 'natural' | 'length' | 'required-first';
+
+  export type MemberOrderPreset = 'python-like' | 'react-class-component' | 'typescript-accessibility';
+
+  export interface BlankLinePolicy {
+    rootBlockPadding?: number;
+    nestedBlockPadding?: number;
+    beforeImports?: number;
+    afterImports?: number;
+    beforeExports?: number;
+    afterExports?: number;
+    beforeClass?: number;
+    afterClass?: number;
+    beforeFunction?: number;
+    afterFunction?: number;
+    skipImportGroups?: boolean;
+  }
+
+  export interface Settings {
+    whitespaced?: {
+      blankLines?: BlankLinePolicy;
+    };
+  }
+
   export interface Config {
     rules: {
       'whitespaced/block-padding': [
@@ -25,6 +68,8 @@ declare namespace pythonStylePlugin {
           enforceEndPadding?: boolean;
           docstringPadding?: number;
           treatCommentsAsDocstrings?: boolean;
+          lineEnding?: 'auto' | 'lf' | 'crlf';
+          checkClassBodies?: boolean;
         }?
       ];
       'whitespaced/class-property-grouping': [
@@ -32,12 +77,26 @@ declare namespace pythonStylePlugin {
         {
           groups?: Array<{
             name: string;
-            types: string[];
-            matches: string[];
+            types?: string[];
+            matches?: MatchKeyword[];
+            decorators?: string[];
+            namePattern?: string;
+            catchAll?: boolean;
+            sort?: SortStrategy;
             order: number;
           }>;
+          preset?: MemberOrderPreset;
           paddingBetweenGroups?: number;
+          paddingWithinGroups?: {
+            fields?: number;
+            multilineFields?: number;
+            methods?: number;
+          };
           enforceAlphabeticalSorting?: boolean;
+          treatArrowPropertiesAsMethods?: boolean;
+          reportUnmatched?: boolean;
+          targets?: Array<'ClassBody' | 'TSInterfaceBody' | 'TSTypeLiteral' | 'ObjectExpression'>;
+          lineEnding?: 'auto' | 'lf' | 'crlf';
         }?
       ];
       'whitespaced/aligned-assignments': [
@@ -50,6 +109,16 @@ declare namespace pythonStylePlugin {
           ignoreIfAssignmentsNotInBlock?: boolean;
           alignTypes?: boolean;
           ignoreTypesMismatch?: boolean;
+          alignAssignmentExpressions?: boolean;
+          operatorAnchor?: 'left' | 'right';
+          separateExports?: boolean;
+          breakOnStatements?: boolean;
+          breakOnBlankLines?: number;
+          breakOnComments?: boolean;
+          maxPadding?: number;
+          outlierStrategy?: 'split' | 'ignore';
+          multilineInitializers?: 'first-line' | 'exclude' | 'break';
+          alignClassFields?: boolean;
         }?
       ];
       'whitespaced/consistent-line-spacing': [
@@ -63,9 +132,11 @@ declare namespace pythonStylePlugin {
           afterClass?: number;
           beforeFunction?: number;
           afterFunction?: number;
+          /** @deprecated Ignored, kept so that existing configs validate */
           beforeComment?: number;
           ignoreTopLevelCode?: boolean;
           skipImportGroups?: boolean;
+          lineEnding?: 'auto' | 'lf' | 'crlf';
         }?
       ];
       'whitespaced/multiline-format': [
@@ -87,12 +158,23 @@ declare namespace pythonStylePlugin {
   }
 
   export interface Plugin {
+    meta: {
+      name: string;
+      version: string;
+    };
     rules: RuleDefinitions;
     configs: {
       recommended: {
         plugins: ['whitespaced'];
         rules: Config['rules'];
       };
+      'flat/recommended': {
+        name: string;
+        plugins: {
+          whitespaced: ESLint.Plugin;
+        };
+        rules: Config['rules'];
+      };
     };
   }
 }
@@ -3,13 +3,62 @@
  * @author tuomashatakka
  */
 
+import { createRequire } from 'module';
 import blockPadding from './rules/block-padding.js';
 import classPropertyGrouping from './rules/class-property-grouping.js';
 import alignedAssignments from './rules/aligned-assignments.js';
 import consistentLineSpacing from './rules/consistent-line-spacing.js';
 import multilineFormat from './rules/multiline-format.js';
 
-export default {
+const require = createRequire(import.meta.url);
+const { name, version } = require('../package.json');
+
+// Rule settings shared by the legacy and flat recommended configurations
+const recommendedRules = {
+  // Blank-line counts come from the shared policy, configurable through settings.whitespaced.blankLines
+  "whitespaced/block-padding": ["error", {
+    enforceBeginningPadding: false,
+    enforceEndPadding: true,
+    docstringPadding: 1,
+    treatCommentsAsDocstrings: true
+  }],
+  "whitespaced/class-property-grouping": ["error", {
+    paddingBetweenGroups: 1,
+    enforceAlphabeticalSorting: false,
+    preset: "python-like"
+  }],
+  "whitespaced/aligned-assignments": ["error", {
+    alignComments: false,
+    alignLiterals: false,
+    blockSize: 2,
+    ignoreAdjacent: true,
+    ignoreIfAssignmentsNotInBlock: true,
+    alignTypes: true,
+    ignoreTypesMismatch: true
+  }],
+  "whitespaced/consistent-line-spacing": ["error", {
+    ignoreTopLevelCode: false
+  }],
+  "whitespaced/multiline-format": ["error", {
+    allowSingleLine: true,
+    multilineStyle: "consistent",
+    minItems: 3,
+    maxLineLength: 80,
+    bracketStyle: "same-line",
+    indentation: 2,
+    trailingComma: "always",
+    emptyLineBetweenGroups: false,
+    consistentSpacing: true,
+    objectAlignment: "none"
+  }]
+};
+
+const plugin = {
+  meta: {
+    name,
+    version
+  },
+
   // Rule definitions
   rules: {
     "block-padding": blockPadding,
@@ -19,90 +68,24 @@ export default {
     "multiline-format": multilineFormat
   },
 
-  // Recommended configuration
-  configs: {
-    recommended: {
-      plugins: ["whitespaced"],
-      rules: {
-        "whitespaced/block-padding": ["error", {
-          rootBlockPadding: 2,
-          nestedBlockPadding: 1,
-          enforceBeginningPadding: false,
-          enforceEndPadding: true,
-          docstringPadding: 1,
-          treatCommentsAsDocstrings: true
-        }],
-        "whitespaced/class-property-grouping": ["error", {
-          paddingBetweenGroups: 1,
-          enforceAlphabeticalSorting: false,
-          groups: [
-            {
-              name: "static-properties",
-              types: ["ClassProperty"],
-              matches: ["static"],
-              order: 0
-            },
-            {
-              name: "static-methods",
-              types: ["MethodDefinition"],
-              matches: ["static"],
-              order: 1
-            },
-            {
-              name: "instance-properties",
-              types: ["ClassProperty"],
-              matches: [],
-              order: 2
-            },
-            {
-              name: "constructor",
-              types: ["MethodDefinition"],
-              matches: ["constructor"],
-              order: 3
-            },
-            {
-              name: "instance-methods",
-              types: ["MethodDefinition"],
-              matches: [],
-              order: 4
-            }
-          ]
-        }],
-        "whitespaced/aligned-assignments": ["error", {
-          alignComments: false,
-          alignLiterals: false,
-          blockSize: 2,
-          ignoreAdjacent: true,
-          ignoreIfAssignmentsNotInBlock: true,
-          alignTypes: true,
-          ignoreTypesMismatch: true
-        }],
-        "whitespaced/consistent-line-spacing": ["error", {
-          beforeImports: 1,
-          afterImports: 1,
-          beforeExports: 1,
-          afterExports: 1,
-          beforeClass: 2,
-          afterClass: 2,
-          beforeFunction: 2,
-          afterFunction: 2,
-          beforeComment: 1,
-          ignoreTopLevelCode: false,
-          skipImportGroups: true
-        }],
-        "whitespaced/multiline-format": ["error", {
-          allowSingleLine: true,
-          multilineStyle: "consistent",
-          minItems: 3,
-          maxLineLength: 80,
-          bracketStyle: "same-line",
-          indentation: 2,
-          trailingComma: "always",
-          emptyLineBetweenGroups: false,
-          consistentSpacing: true,
-          objectAlignment: "none"
-        }]
-      }
-    }
+  configs: {}
+};
+
+Object.assign(plugin.configs, {
+  // Recommended configuration for .eslintrc (ESLint 8)
+  recommended: {
+    plugins: ["whitespaced"],
+    rules: recommendedRules
+  },
+
+  // Recommended configuration for eslint.config.js (ESLint 8.57+ and ESLint 9)
+  "flat/recommended": {
+    name: "whitespaced/flat/recommended",
+    plugins: {
+      whitespaced: plugin
+    },
+    rules: recommendedRules
   }
-};
\ No newline at end of file
+});
+
+export default plugin;
@@ -13,6 +13,16 @@ interface AlignedAssignmentsOptions {
   ignoreIfAssignmentsNotInBlock?: boolean;
   alignTypes?: boolean;
   ignoreTypesMismatch?: boolean;
+  alignAssignmentExpressions?: boolean;
+  operatorAnchor?: 'left' | 'right';
+  separateExports?: boolean;
+  breakOnStatements?: boolean;
+  breakOnBlankLines?: number;
+  breakOnComments?: boolean;
+  maxPadding?: number;
+  outlierStrategy?: 'split' | 'ignore';
+  multilineInitializers?: 'first-line' | 'exclude' | 'break';
+  alignClassFields?: boolean;
 }
 
 declare const rule: Rule.RuleModule;
@@ -21,13 +21,25 @@ export default {
         ignoreAdjacent: { type: "boolean", default: true },
         ignoreIfAssignmentsNotInBlock: { type: "boolean", default: true },
         alignTypes: { type: "boolean", default: false },
-        ignoreTypesMismatch: { type: "boolean", default: true }
+        ignoreTypesMismatch: { type: "boolean", default: true },
+        alignAssignmentExpressions: { type: "boolean", default: false },
+        operatorAnchor: { type: "string", enum: ["left", "right"], default: "left" },
+        separateExports: { type: "boolean", default: false },
+        breakOnStatements: { type: "boolean", default: false },
+        breakOnBlankLines: { type: "integer", minimum: 1 },
+        breakOnComments: { type: "boolean", default: false },
+        maxPadding: { type: "integer", minimum: 1 },
+        outlierStrategy: { type: "string", enum: ["split", "ignore"], default: "split" },
+        multilineInitializers: { type: "string", enum: ["first-line", "exclude", "break"], default: "first-line" },
+        alignClassFields: { type: "boolean", default: false }
       },
       additionalProperties: false
     }],
     messages: {
       misalignedAssignment: "Assignment operators should be vertically aligned within blocks.",
-      misalignedTypes: "Type declarations should be vertically aligned within blocks."
+      misalignedTypes: "Type declarations should be vertically aligned within blocks.",
+      misalignedComment: "Trailing comments should be vertically aligned within blocks.",
+      misalignedLiteral: "Numeric literals should be right-aligned within blocks."
     },
   },
   create(context) {
@@ -41,19 +53,124 @@ export default {
     const ignoreIfAssignmentsNotInBlock = options.ignoreIfAssignmentsNotInBlock !== undefined ? options.ignoreIfAssignmentsNotInBlock : true;
     const alignTypes = options.alignTypes !== undefined ? options.alignTypes : false;
     const ignoreTypesMismatch = options.ignoreTypesMismatch !== undefined ? options.ignoreTypesMismatch : true;
+    const alignAssignmentExpressions = options.alignAssignmentExpressions !== undefined ? options.alignAssignmentExpressions : false;
+    const operatorAnchor = options.operatorAnchor !== undefined ? options.operatorAnchor : "left";
+    const separateExports = options.separateExports !== undefined ? options.separateExports : false;
+    const breakOnStatements = options.breakOnStatements !== undefined ? options.breakOnStatements : false;
+    const breakOnBlankLines = options.breakOnBlankLines !== undefined ? options.breakOnBlankLines : null;
+    const breakOnComments = options.breakOnComments !== undefined ? options.breakOnComments : false;
+    const maxPadding = options.maxPadding !== undefined ? options.maxPadding : null;
+    const outlierStrategy = options.outlierStrategy !== undefined ? options.outlierStrategy : "split";
+    const multilineInitializers = options.multilineInitializers !== undefined ? options.multilineInitializers : "first-line";
+    const alignClassFields = options.alignClassFields !== undefined ? options.alignClassFields : false;
+
+    function isAssignmentStatement(statement) {
+      return statement.type === "ExpressionStatement" &&
+        statement.expression.type === "AssignmentExpression";
+    }
+
+    // The "=" of a declarator, class field or type alias, or the operator of an assignment expression such as "+=" or "??="
+    function getOperatorToken(node) {
+      if (node.type === "AssignmentExpression") {
+        return sourceCode.getFirstTokenBetween(
+          node.left,
+          node.right,
+          token => token.type === "Punctuator" && token.value === node.operator
+        );
+      }
+
+      const value = getValueNode(node);
+
+      if (!value) {
+        return null;
+      }
 
-    function getEqualsColumn(declarator) {
-      const equalsToken = sourceCode.getTokenBefore(
-        declarator.init,
+      return sourceCode.getTokenBefore(
+        value,
         token => token.value === "="
       );
+    }
+
+    // Operators are aligned by their left edge, or by their right edge so that every "=" lines up
+    function getOperatorColumn(node) {
+      const operatorToken = getOperatorToken(node);
+
+      if (!operatorToken) {
+        return null;
+      }
+
+      return operatorAnchor === "right" ? operatorToken.loc.end.column : operatorToken.loc.start.column;
+    }
 
-      return equalsToken ? equalsToken.loc.start.column : null;
+    // The column an operator has to start at to reach the target anchor column
+    function getOperatorStartColumn(node, targetColumn) {
+      return operatorAnchor === "right" ? targetColumn - getOperatorToken(node).value.length : targetColumn;
     }
 
-    function getTypeColonColumn(declarator) {
-      if (declarator.id && declarator.id.typeAnnotation) {
-        const colonToken = sourceCode.getFirstToken(declarator.id.typeAnnotation);
+    // Declarations are grouped by const/let/var, and assignments, class
+    // fields and type aliases form kinds of their own
+    function getAssignmentKind(node) {
+      if (node.type === "TSTypeAliasDeclaration") {
+        return "type";
+      }
+
+      if (node.type === "PropertyDefinition") {
+        return "field";
+      }
+
+      return node.type === "AssignmentExpression" ? "assignment" : node.parent.kind;
+    }
+
+    // Only the whitespace in front of the operator is rewritten, so the
+    // initializer and any comment before the operator are never retyped.
+    // typeShift is how far the type annotation fix moves the end of the
+    // left-hand side.
+    function fixOperatorPadding(fixer, node, targetColumn, typeShift) {
+      const operatorToken = getOperatorToken(node);
+      const lastLeftToken = sourceCode.getTokenBefore(operatorToken, { includeComments: true });
+      const startColumn = getOperatorStartColumn(node, targetColumn);
+      const padding = " ".repeat(Math.max(startColumn - lastLeftToken.loc.end.column - typeShift, 1));
+
+      return fixer.replaceTextRange([lastLeftToken.range[1], operatorToken.range[0]], padding);
+    }
+
+    // Class fields carry their type annotation themselves, declarators on their id
+    function getTypeAnnotation(node) {
+      if (node.type === "PropertyDefinition") {
+        return node.typeAnnotation || null;
+      }
+
+      return node.id && node.id.typeAnnotation || null;
+    }
+
+    // Class fields keep the ":" on their name and pad in front of the type,
+    // like interface members, while declarators pad in front of the ":"
+    function fixTypePadding(fixer, declarator, targetTypeColumn) {
+      const colonToken = sourceCode.getFirstToken(getTypeAnnotation(declarator));
+
+      if (declarator.type === "PropertyDefinition") {
+        const typeToken = sourceCode.getTokenAfter(colonToken, { includeComments: true });
+        const padding = " ".repeat(Math.max(targetTypeColumn - colonToken.loc.end.column, 1));
+
+        return fixer.replaceTextRange([colonToken.range[1], typeToken.range[0]], padding);
+      }
+
+      const tokenBefore = sourceCode.getTokenBefore(colonToken, { includeComments: true });
+      const padding = " ".repeat(Math.max(targetTypeColumn - tokenBefore.loc.end.column, 0));
+
+      return fixer.replaceTextRange([tokenBefore.range[1], colonToken.range[0]], padding);
+    }
+
+    function getTypeColumn(declarator) {
+      const typeAnnotation = getTypeAnnotation(declarator);
+
+      if (typeAnnotation) {
+        const colonToken = sourceCode.getFirstToken(typeAnnotation);
+
+        if (declarator.type === "PropertyDefinition") {
+          return sourceCode.getTokenAfter(colonToken, { includeComments: true }).loc.start.column;
+        }
+
         return colonToken ? colonToken.loc.start.column : null;
       }
       return null;
@@ -63,69 +180,196 @@ export default {
       return node2.loc.start.line === node1.loc.end.line + 1;
     }
 
+    function isSingleLine(node) {
+      return node.loc.start.line === node.loc.end.line;
+    }
+
+    function hasOperatorOnFirstLine(node) {
+      return getOperatorToken(node).loc.start.line === node.loc.start.line;
+    }
+
+    function countBlankLinesBetween(node1, node2) {
+      return sourceCode.lines
+        .slice(node1.loc.end.line, node2.loc.start.line - 1)
+        .filter(line => !line.trim())
+        .length;
+    }
+
+    // A comment on a line of its own, as opposed to one trailing the previous line
+    function hasStandaloneCommentBetween(node1, node2) {
+      return sourceCode.getTokensBetween(node1, node2, { includeComments: true }).some(token =>
+        (token.type === "Line" || token.type === "Block") &&
+        sourceCode.getTokenBefore(token, { includeComments: true }).loc.end.line < token.loc.start.line
+      );
+    }
+
+    function isGroupBoundary(node1, node2) {
+      if (ignoreAdjacent && !areNodesAdjacent(node1, node2)) {
+        return true;
+      }
+
+      if (breakOnBlankLines !== null && countBlankLinesBetween(node1, node2) >= breakOnBlankLines) {
+        return true;
+      }
+
+      return breakOnComments && hasStandaloneCommentBetween(node1, node2);
+    }
+
     function haveSameKind(declarations) {
       if (!declarations.length) return true;
 
-      const firstKind = declarations[0].parent.kind;
-      return declarations.every(decl => decl.parent.kind === firstKind);
+      const firstKind = getAssignmentKind(declarations[0]);
+      return declarations.every(decl => getAssignmentKind(decl) === firstKind);
     }
 
     function allHaveTypes(declarations) {
-      return declarations.every(decl =>
-        decl.id && decl.id.typeAnnotation
-      );
+      return declarations.every(decl => getTypeAnnotation(decl));
     }
 
     function anyHaveTypes(declarations) {
-      return declarations.some(decl =>
-        decl.id && decl.id.typeAnnotation
-      );
-    }
-
-    function getMaxEqualsColumn(declarations) {
-      return Math.max(...declarations.map(getEqualsColumn));
+      return declarations.some(decl => getTypeAnnotation(decl));
     }
 
-    function getMaxTypeColonColumn(declarations) {
+    function getMaxTypeColumn(declarations) {
       const columns = declarations
-        .map(getTypeColonColumn)
+        .map(getTypeColumn)
         .filter(column => column !== null);
 
       return columns.length ? Math.max(...columns) : null;
     }
 
-    function getFixedDeclaration(declarator, targetEqualsColumn, targetTypeColumn) {
-      const originalText = sourceCode.getText(declarator);
-      const idText = sourceCode.getText(declarator.id);
-      let initText = declarator.init ? sourceCode.getText(declarator.init) : "";
-      let equalsColumn = getEqualsColumn(declarator);
+    function getValueNode(node) {
+      if (node.type === "TSTypeAliasDeclaration") {
+        return node.typeAnnotation;
+      }
 
-      let hasType = false;
-      let typeColon = null;
-      let typeText = "";
+      if (node.type === "PropertyDefinition") {
+        return node.value;
+      }
 
-      if (declarator.id && declarator.id.typeAnnotation) {
-        hasType = true;
-        typeColon = getTypeColonColumn(declarator);
-        typeText = sourceCode.getText(declarator.id.typeAnnotation);
+      return node.type === "AssignmentExpression" ? node.right : node.init;
+    }
+
+    function isNumericLiteral(node) {
+      if (node.type === "UnaryExpression" && (node.operator === "-" || node.operator === "+")) {
+        return isNumericLiteral(node.argument);
       }
 
-      if (!equalsColumn) {
-        return originalText;
+      return node.type === "Literal" && (typeof node.value === "number" || typeof node.value === "bigint");
+    }
+
+    // How far the operator fix moves the rest of the given line
+    function getOperatorShift(node, maxOperatorColumn, line) {
+      const operatorToken = getOperatorToken(node);
+
+      if (operatorToken.loc.start.line !== line) {
+        return 0;
       }
 
-      let result = idText;
+      return getOperatorStartColumn(node, maxOperatorColumn) - operatorToken.loc.start.column;
+    }
+
+    // A comment ending the last line of the declarator or assignment, after
+    // its "," or ";" and any other declarators sharing the line
+    function getTrailingComment(node) {
+      let endToken = sourceCode.getLastToken(node);
+      let nextToken = sourceCode.getTokenAfter(endToken);
 
-      if (hasType && targetTypeColumn !== null) {
-        const typeColonPadding = " ".repeat(targetTypeColumn - (idText.length + result.length));
-        result += typeColonPadding + typeText;
+      while (nextToken && nextToken.loc.start.line === endToken.loc.end.line) {
+        endToken = nextToken;
+        nextToken = sourceCode.getTokenAfter(endToken);
       }
 
-      const currentEndPos = hasType ? typeColon + typeText.length : idText.length;
-      const equalsPadding = " ".repeat(targetEqualsColumn - currentEndPos);
-      result += equalsPadding + "= " + initText;
+      const comment = sourceCode.getCommentsAfter(endToken)[0];
 
-      return result;
+      if (!comment || comment.loc.start.line !== endToken.loc.end.line) {
+        return null;
+      }
+
+      return { comment, endToken };
+    }
+
+    // Right-align numeric values by padding the space after the operator.
+    // Returns how far each value moves, so trailing comments can follow.
+    // Values with a comment in front of them are left as they are.
+    function checkLiteralAlignment(declarations, maxOperatorColumn) {
+      const shifts = new Map();
+      const literals = declarations.filter(decl => {
+        const value = getValueNode(decl);
+        const tokenBefore = sourceCode.getTokenBefore(value, { includeComments: true });
+
+        return isNumericLiteral(value) && tokenBefore.range[0] === getOperatorToken(decl).range[0] &&
+          tokenBefore.loc.end.line === value.loc.start.line;
+      });
+
+      if (literals.length < 2) {
+        return shifts;
+      }
+
+      const endColumns = literals.map(decl => {
+        const value = getValueNode(decl);
+        return value.loc.end.column + getOperatorShift(decl, maxOperatorColumn, value.loc.start.line);
+      });
+      const maxEndColumn = Math.max(...endColumns);
+
+      literals.forEach((decl, index) => {
+        const shift = maxEndColumn - endColumns[index];
+
+        if (shift === 0) {
+          return;
+        }
+
+        const value = getValueNode(decl);
+        const operatorToken = sourceCode.getTokenBefore(value, { includeComments: true });
+
+        shifts.set(decl, shift);
+        context.report({
+          node: value,
+          messageId: "misalignedLiteral",
+          fix(fixer) {
+            const padding = value.loc.start.column - operatorToken.loc.end.column + shift;
+            return fixer.replaceTextRange([operatorToken.range[1], value.range[0]], " ".repeat(padding));
+          }
+        });
+      });
+
+      return shifts;
+    }
+
+    // Line up trailing comments in the column of the rightmost one, after the other fixes are applied
+    function checkCommentAlignment(declarations, maxOperatorColumn, literalShifts) {
+      const trailing = declarations
+        .map(decl => ({ decl, ...getTrailingComment(decl) }))
+        .filter(entry => entry.comment);
+
+      if (trailing.length < 2) {
+        return;
+      }
+
+      const columns = trailing.map(({ decl, comment }) => {
+        const line = comment.loc.start.line;
+        const literalShift = getValueNode(decl).loc.end.line === line ? literalShifts.get(decl) || 0 : 0;
+
+        return comment.loc.start.column + getOperatorShift(decl, maxOperatorColumn, line) + literalShift;
+      });
+      const maxCommentColumn = Math.max(...columns);
+
+      trailing.forEach(({ comment, endToken }, index) => {
+        const shift = maxCommentColumn - columns[index];
+
+        if (shift === 0) {
+          return;
+        }
+
+        context.report({
+          loc: comment.loc,
+          messageId: "misalignedComment",
+          fix(fixer) {
+            const padding = comment.loc.start.column - endToken.loc.end.column + shift;
+            return fixer.replaceTextRange([endToken.range[1], comment.range[0]], " ".repeat(padding));
+          }
+        });
+      });
     }
 
     function checkAlignment(declarations) {
@@ -137,124 +381,347 @@ export default {
         return;
       }
 
-      const maxEqualsColumn = getMaxEqualsColumn(declarations);
-
-      let maxTypeColonColumn = null;
+      let maxTypeColumn = null;
       if (alignTypes && anyHaveTypes(declarations)) {
         if (ignoreTypesMismatch && !allHaveTypes(declarations)) {
           // Skip only type alignment but still do equals alignment
         } else {
-          maxTypeColonColumn = getMaxTypeColonColumn(declarations);
+          maxTypeColumn = getMaxTypeColumn(declarations);
         }
       }
 
+      // Aligning the types moves the operators on the same line, so the
+      // operator columns are compared as they will be after that fix
+      const typeShifts = new Map(declarations.map(declarator => {
+        const typeColumn = getTypeColumn(declarator);
+        const onOperatorLine = typeColumn !== null &&
+          getTypeAnnotation(declarator).loc.start.line === getOperatorToken(declarator).loc.start.line;
+
+        return [declarator, maxTypeColumn !== null && onOperatorLine ? maxTypeColumn - typeColumn : 0];
+      }));
+      const operatorColumns = new Map(declarations.map(declarator => [
+        declarator,
+        getOperatorColumn(declarator) + typeShifts.get(declarator),
+      ]));
+      const maxOperatorColumn = Math.max(...operatorColumns.values());
+
       declarations.forEach(declarator => {
-        const equalsColumn = getEqualsColumn(declarator);
+        const typeShift = typeShifts.get(declarator);
 
-        if (equalsColumn !== null && equalsColumn !== maxEqualsColumn) {
+        if (operatorColumns.get(declarator) !== maxOperatorColumn) {
           context.report({
             node: declarator,
             messageId: "misalignedAssignment",
             fix(fixer) {
-              return fixer.replaceText(
-                declarator,
-                getFixedDeclaration(declarator, maxEqualsColumn, maxTypeColonColumn)
-              );
+              return fixOperatorPadding(fixer, declarator, maxOperatorColumn, typeShift);
             }
           });
         }
 
-        if (alignTypes && maxTypeColonColumn !== null) {
-          const typeColumn = getTypeColonColumn(declarator);
+        if (maxTypeColumn !== null) {
+          const typeColumn = getTypeColumn(declarator);
 
-          if (typeColumn !== null && typeColumn !== maxTypeColonColumn) {
+          if (typeColumn !== null && typeColumn !== maxTypeColumn) {
             context.report({
               node: declarator,
               messageId: "misalignedTypes",
               fix(fixer) {
-                return fixer.replaceText(
-                  declarator,
-                  getFixedDeclaration(declarator, maxEqualsColumn, maxTypeColonColumn)
-                );
+                return fixTypePadding(fixer, declarator, maxTypeColumn);
               }
             });
           }
         }
       });
+
+      const literalShifts = alignLiterals ? checkLiteralAlignment(declarations, maxOperatorColumn) : new Map();
+
+      if (alignComments) {
+        checkCommentAlignment(declarations, maxOperatorColumn, literalShifts);
+      }
+    }
+
+    // The anchor column an operator would have with a single space in front of it
+    function getNaturalColumn(node) {
+      const operatorToken = getOperatorToken(node);
+      const column = sourceCode.getTokenBefore(operatorToken, { includeComments: true }).loc.end.column + 1;
+
+      return operatorAnchor === "right" ? column + operatorToken.value.length : column;
+    }
+
+    // The most spaces any line of the group needs in front of its operator
+    function getRequiredPadding(group) {
+      const columns = group.map(getNaturalColumn);
+      return Math.max(...columns) - Math.min(...columns) + 1;
+    }
+
+    // Start a new sub-group wherever the next line would need more than maxPadding spaces
+    function splitAtOutliers(group) {
+      const subGroups = [];
+      let currentGroup = [];
+
+      for (const node of group) {
+        if (currentGroup.length && getRequiredPadding([...currentGroup, node]) > maxPadding) {
+          subGroups.push(currentGroup);
+          currentGroup = [];
+        }
+
+        currentGroup.push(node);
+      }
+
+      subGroups.push(currentGroup);
+      return subGroups;
+    }
+
+    // Leave the longest left-hand sides unaligned until the rest fits within maxPadding
+    function removeOutliers(group) {
+      const remaining = [...group];
+
+      while (remaining.length >= blockSize && getRequiredPadding(remaining) > maxPadding) {
+        const longest = remaining.reduce((a, b) => getNaturalColumn(b) > getNaturalColumn(a) ? b : a);
+        remaining.splice(remaining.indexOf(longest), 1);
+      }
+
+      return [remaining];
+    }
+
+    function applyMaxPadding(group) {
+      if (maxPadding === null || getRequiredPadding(group) <= maxPadding) {
+        return [group];
+      }
+
+      return outlierStrategy === "ignore" ? removeOutliers(group) : splitAtOutliers(group);
     }
 
     function processDeclarationGroup(declarations) {
       if (!declarations.length) return;
 
-      const declarationsWithInits = declarations.filter(decl => decl.init);
+      const declarationsWithInits = declarations.filter(decl => getOperatorToken(decl));
 
       if (declarationsWithInits.length < blockSize) {
         return;
       }
 
-      if (ignoreAdjacent) {
-        const adjacentGroups = [];
-        let currentGroup = [declarationsWithInits[0]];
+      const groups = [];
+      let currentGroup = [];
+      let previousDecl = null;
 
-        for (let i = 1; i < declarationsWithInits.length; i++) {
-          const prevDecl = declarationsWithInits[i - 1];
-          const currentDecl = declarationsWithInits[i];
+      for (const currentDecl of declarationsWithInits) {
+        // Only the first declarator or assignment of a line can be aligned
+        if (previousDecl && currentDecl.loc.start.line === previousDecl.loc.end.line) {
+          previousDecl = currentDecl;
+          continue;
+        }
 
-          if (areNodesAdjacent(prevDecl, currentDecl)) {
-            currentGroup.push(currentDecl);
-          } else {
-            if (currentGroup.length >= blockSize) {
-              adjacentGroups.push(currentGroup);
-            }
-            currentGroup = [currentDecl];
+        if (previousDecl && isGroupBoundary(previousDecl, currentDecl)) {
+          groups.push(currentGroup);
+          currentGroup = [];
+        }
+
+        previousDecl = currentDecl;
+
+        // Multi-line declarators are aligned by their first line, left out while
+        // the lines around them stay in one group, or end the group
+        if (!isSingleLine(currentDecl) && (multilineInitializers !== "first-line" || !hasOperatorOnFirstLine(currentDecl))) {
+          if (multilineInitializers === "break") {
+            groups.push(currentGroup);
+            currentGroup = [];
           }
+
+          continue;
         }
 
-        if (currentGroup.length >= blockSize) {
-          adjacentGroups.push(currentGroup);
+        currentGroup.push(currentDecl);
+      }
+
+      groups.push(currentGroup);
+      groups
+        .filter(group => group.length >= blockSize)
+        .flatMap(applyMaxPadding)
+        .filter(group => group.length >= blockSize)
+        .forEach(checkAlignment);
+    }
+
+    function isExportedDeclaration(statement) {
+      return statement.type === 'ExportNamedDeclaration' && statement.declaration !== null;
+    }
+
+    // Collect the declarators, and optionally the assignments and type
+    // aliases, of a statement list. Switching between declarations,
+    // assignments and type aliases starts a new run, and so does switching
+    // between exported and plain declarations with separateExports, or any
+    // other statement with breakOnStatements.
+    function processStatements(statements) {
+      const runs = [];
+      let currentRun = [];
+      let currentType = null;
+
+      for (const statement of statements) {
+        const declaration = isExportedDeclaration(statement) ? statement.declaration : statement;
+        let nodes;
+
+        if (declaration.type === 'VariableDeclaration') {
+          nodes = declaration.declarations;
+        } else if (alignTypes && declaration.type === 'TSTypeAliasDeclaration') {
+          nodes = [declaration];
+        } else if (alignAssignmentExpressions && isAssignmentStatement(statement)) {
+          nodes = [statement.expression];
+        } else {
+          if (breakOnStatements && currentRun.length) {
+            runs.push(currentRun);
+            currentRun = [];
+          }
+
+          continue;
         }
 
-        adjacentGroups.forEach(checkAlignment);
-      } else {
-        checkAlignment(declarationsWithInits);
+        const type = separateExports && declaration !== statement ? `export ${declaration.type}` : declaration.type;
+
+        if (type !== currentType && currentRun.length) {
+          runs.push(currentRun);
+          currentRun = [];
+        }
+
+        currentType = type;
+        currentRun.push(...nodes);
+      }
+
+      if (currentRun.length) {
+        runs.push(currentRun);
+      }
+
+      runs.forEach(processDeclarationGroup);
+    }
+
+    // The first token of the type after the ":" of a property signature
+    function getMemberTypeToken(member) {
+      return sourceCode.getFirstToken(member.typeAnnotation.typeAnnotation);
+    }
+
+    // Line up the types of property signatures after their ":", as in
+    // "name:     string;". Members without a type annotation follow the same
+    // mismatch rule as declarations with alignTypes.
+    function checkTypeMemberAlignment(members) {
+      const typedMembers = members.filter(member => member.typeAnnotation);
+
+      if (typedMembers.length < blockSize || (ignoreTypesMismatch && typedMembers.length < members.length)) {
+        return;
+      }
+
+      const maxTypeColumn = Math.max(...typedMembers.map(member => getMemberTypeToken(member).loc.start.column));
+
+      typedMembers.forEach(member => {
+        const typeToken = getMemberTypeToken(member);
+
+        if (typeToken.loc.start.column === maxTypeColumn) {
+          return;
+        }
+
+        context.report({
+          node: member,
+          messageId: "misalignedTypes",
+          fix(fixer) {
+            const colonToken = sourceCode.getFirstToken(member.typeAnnotation);
+            const padding = " ".repeat(maxTypeColumn - colonToken.loc.end.column);
+
+            return fixer.replaceTextRange([colonToken.range[1], typeToken.range[0]], padding);
+          }
+        });
+      });
+    }
+
+    // Runs of property signatures in an interface or type literal. Methods,
+    // index signatures and the other members end a run like statements do.
+    function processTypeMembers(members) {
+      const groups = [];
+      let currentGroup = [];
+      let previousMember = null;
+
+      for (const member of members) {
+        if (member.type !== "TSPropertySignature") {
+          groups.push(currentGroup);
+          currentGroup = [];
+          previousMember = null;
+          continue;
+        }
+
+        if (previousMember && member.loc.start.line === previousMember.loc.end.line) {
+          previousMember = member;
+          continue;
+        }
+
+        if (previousMember && isGroupBoundary(previousMember, member)) {
+          groups.push(currentGroup);
+          currentGroup = [];
+        }
+
+        previousMember = member;
+
+        // A type starting on a line below its name cannot be lined up
+        if (member.typeAnnotation && getMemberTypeToken(member).loc.start.line !== member.loc.start.line) {
+          continue;
+        }
+
+        currentGroup.push(member);
       }
+
+      groups.push(currentGroup);
+      groups
+        .filter(group => group.length >= blockSize)
+        .forEach(checkTypeMemberAlignment);
     }
 
-    function processBlockVariables(node) {
-      const declarations = [];
-      const scopeBody = node.type === 'Program' ? node.body : node.body ? node.body : [];
+    // Runs of class fields with initializers. Methods and the other members
+    // end a run like the methods of an interface do.
+    function processClassFields(members) {
+      const runs = [];
+      let currentRun = [];
 
-      for (const statement of scopeBody) {
-        if (statement.type === 'VariableDeclaration') {
-          declarations.push(...statement.declarations);
+      for (const member of members) {
+        if (member.type === "PropertyDefinition") {
+          currentRun.push(member);
+          continue;
         }
+
+        runs.push(currentRun);
+        currentRun = [];
       }
 
-      processDeclarationGroup(declarations);
+      runs.push(currentRun);
+      runs.forEach(processDeclarationGroup);
     }
 
     return {
       Program(node) {
-        processBlockVariables(node);
+        processStatements(node.body);
       },
 
       BlockStatement(node) {
-        processBlockVariables(node);
+        processStatements(node.body);
       },
 
       SwitchCase(node) {
         if (node.consequent) {
-          const declarations = [];
+          processStatements(node.consequent);
+        }
+      },
 
-          for (const statement of node.consequent) {
-            if (statement.type === 'VariableDeclaration') {
-              declarations.push(...statement.declarations);
-            }
-          }
+      ClassBody(node) {
+        if (alignClassFields) {
+          processClassFields(node.body);
+        }
+      },
+
+      TSInterfaceBody(node) {
+        if (alignTypes) {
+          processTypeMembers(node.body);
+        }
+      },
 
-          processDeclarationGroup(declarations);
+      TSTypeLiteral(node) {
+        if (alignTypes) {
+          processTypeMembers(node.members);
         }
       }
     };
   }
-};
\ No newline at end of file
+};
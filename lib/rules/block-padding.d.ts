@@ -12,6 +12,8 @@ interface BlockPaddingOptions {
   enforceEndPadding?: boolean;
   docstringPadding?: number;
   treatCommentsAsDocstrings?: boolean;
+  lineEnding?: 'auto' | 'lf' | 'crlf';
+  checkClassBodies?: boolean;
 }
 
 declare const rule: Rule.RuleModule;
@@ -3,6 +3,9 @@
  * @author tuomashatakka
  */
 
+import { getBlankLinePolicy, resolveBlankLines } from "../utils/blank-line-policy.js";
+import { countBlankLines, fixBlankLines, getLineBreak, getLineGaps } from "../utils/blank-lines.js";
+
 export default {
   meta: {
     type: "layout",
@@ -15,12 +18,14 @@ export default {
     schema: [{
       type: "object",
       properties: {
-        rootBlockPadding: { type: "integer", minimum: 0, default: 2 },
-        nestedBlockPadding: { type: "integer", minimum: 0, default: 1 },
+        rootBlockPadding: { type: "integer", minimum: 0 },
+        nestedBlockPadding: { type: "integer", minimum: 0 },
         enforceBeginningPadding: { type: "boolean", default: false },
         enforceEndPadding: { type: "boolean", default: false },
         docstringPadding: { type: "integer", minimum: 0, default: 1 },
         treatCommentsAsDocstrings: { type: "boolean", default: true },
+        lineEnding: { type: "string", enum: ["auto", "lf", "crlf"], default: "auto" },
+        checkClassBodies: { type: "boolean", default: true },
       },
       additionalProperties: false
     }],
@@ -35,17 +40,17 @@ export default {
   create(context) {
     const sourceCode = context.sourceCode || context.getSourceCode();
     const options = context.options[0] || {};
-    const rootBlockPadding = options.rootBlockPadding !== undefined ? options.rootBlockPadding : 2;
-    const nestedBlockPadding = options.nestedBlockPadding !== undefined ? options.nestedBlockPadding : 1;
+    const policy = getBlankLinePolicy(context, options);
+    const rootBlockPadding = policy.rootBlockPadding;
     const enforceBeginningPadding = options.enforceBeginningPadding !== undefined ? options.enforceBeginningPadding : false;
     const enforceEndPadding = options.enforceEndPadding !== undefined ? options.enforceEndPadding : false;
     const docstringPadding = options.docstringPadding !== undefined ? options.docstringPadding : 1;
     const treatCommentsAsDocstrings = options.treatCommentsAsDocstrings !== undefined ? options.treatCommentsAsDocstrings : true;
+    const lineBreak = getLineBreak(sourceCode, options.lineEnding);
+    const checkClassBodies = options.checkClassBodies !== undefined ? options.checkClassBodies : true;
 
-    function getBlankLinesBetween(node1, node2) {
-      const node1End = node1.loc.end.line;
-      const node2Start = node2.loc.start.line;
-      return node2Start - node1End - 1;
+    function getGapsBetween(node1, node2) {
+      return getLineGaps(sourceCode, sourceCode.getLastToken(node1), sourceCode.getFirstToken(node2));
     }
 
     function isDocstring(comment) {
@@ -100,9 +105,11 @@ export default {
       if (!docstringComments.length) return;
 
       const lastComment = docstringComments[docstringComments.length - 1];
-      const commentEnd = lastComment.loc.end.line;
-      const nodeStart = node.loc.start.line;
-      const blankLines = nodeStart - commentEnd - 1;
+      const gaps = getLineGaps(sourceCode, lastComment, sourceCode.getFirstToken(node));
+
+      if (!gaps) return;
+
+      const blankLines = countBlankLines(gaps);
 
       if (blankLines !== docstringPadding) {
         context.report({
@@ -114,9 +121,7 @@ export default {
             lineText: docstringPadding === 1 ? "line" : "lines",
           },
           fix(fixer) {
-            const range = [lastComment.range[1], sourceCode.getFirstToken(node).range[0]];
-            const newLines = "\n".repeat(docstringPadding + 1);
-            return fixer.replaceTextRange(range, newLines);
+            return fixBlankLines(fixer, gaps, docstringPadding, lineBreak);
           },
         });
       }
@@ -126,23 +131,26 @@ export default {
       for (let i = 0; i < nodes.length - 1; i++) {
         const currentNode = nodes[i];
         const nextNode = nodes[i + 1];
-        const blankLines = getBlankLinesBetween(currentNode, nextNode);
+        const resolution = resolveBlankLines(currentNode, nextNode, policy);
+        const gaps = getGapsBetween(currentNode, nextNode);
 
-        if (blankLines !== rootBlockPadding) {
+        // Pairs with an import, export, class or function belong to consistent-line-spacing
+        if (!resolution || resolution.side || !gaps) continue;
+
+        const expected = resolution.expected;
+        const blankLines = countBlankLines(gaps);
+
+        if (blankLines !== expected) {
           context.report({
             node: nextNode,
             messageId: "missingPaddingBetweenRootBlocks",
             data: {
-              expected: rootBlockPadding,
+              expected,
               actual: blankLines,
-              lineText: rootBlockPadding === 1 ? "line" : "lines",
+              lineText: expected === 1 ? "line" : "lines",
             },
             fix(fixer) {
-              const endOfCurrentNode = sourceCode.getLastToken(currentNode);
-              const startOfNextNode = sourceCode.getFirstToken(nextNode);
-              const range = [endOfCurrentNode.range[1], startOfNextNode.range[0]];
-              const newLines = "\n".repeat(rootBlockPadding + 1);
-              return fixer.replaceTextRange(range, newLines);
+              return fixBlankLines(fixer, gaps, expected, lineBreak);
             },
           });
         }
@@ -153,23 +161,26 @@ export default {
       for (let i = 0; i < bodyNodes.length - 1; i++) {
         const currentNode = bodyNodes[i];
         const nextNode = bodyNodes[i + 1];
-        const blankLines = getBlankLinesBetween(currentNode, nextNode);
+        const resolution = resolveBlankLines(currentNode, nextNode, policy);
+        const gaps = getGapsBetween(currentNode, nextNode);
+
+        // Pairs with an import, export, class or function belong to consistent-line-spacing
+        if (!resolution || resolution.side || !gaps) continue;
+
+        const expected = resolution.expected;
+        const blankLines = countBlankLines(gaps);
 
-        if (blankLines !== nestedBlockPadding) {
+        if (blankLines !== expected) {
           context.report({
             node: nextNode,
             messageId: "missingPaddingBetweenNestedBlocks",
             data: {
-              expected: nestedBlockPadding,
+              expected,
               actual: blankLines,
-              lineText: nestedBlockPadding === 1 ? "line" : "lines",
+              lineText: expected === 1 ? "line" : "lines",
             },
             fix(fixer) {
-              const endOfCurrentNode = sourceCode.getLastToken(currentNode);
-              const startOfNextNode = sourceCode.getFirstToken(nextNode);
-              const range = [endOfCurrentNode.range[1], startOfNextNode.range[0]];
-              const newLines = "\n".repeat(nestedBlockPadding + 1);
-              return fixer.replaceTextRange(range, newLines);
+              return fixBlankLines(fixer, gaps, expected, lineBreak);
             },
           });
         }
@@ -204,9 +215,11 @@ export default {
     function checkEndPadding(lastNode) {
       if (enforceEndPadding && lastNode) {
         const sourceText = sourceCode.getText();
-        const lastNodeEnd = lastNode.loc.end.line;
+        const lastToken = sourceCode.getLastToken(lastNode);
+        const trailingComments = sourceCode.getCommentsAfter(lastToken);
+        const endOfContent = trailingComments.length ? trailingComments[trailingComments.length - 1] : lastToken;
         const totalLines = sourceText.split('\n').length;
-        const blankLinesAtEnd = totalLines - lastNodeEnd;
+        const blankLinesAtEnd = totalLines - endOfContent.loc.end.line;
 
         if (blankLinesAtEnd !== rootBlockPadding) {
           context.report({
@@ -218,10 +231,9 @@ export default {
               lineText: rootBlockPadding === 1 ? "line" : "lines",
             },
             fix(fixer) {
-              const endOfLastNode = sourceCode.getLastToken(lastNode);
-              const end = sourceCode.getText().length;
-              const newLines = "\n".repeat(rootBlockPadding);
-              return fixer.replaceTextRange([endOfLastNode.range[1], end], newLines);
+              const end = sourceText.length;
+              const newLines = lineBreak.repeat(rootBlockPadding);
+              return fixer.replaceTextRange([endOfContent.range[1], end], newLines);
             },
           });
         }
@@ -260,7 +272,10 @@ export default {
 
       ClassBody(node) {
         if (node.body.length > 1) {
-          checkNestedBlankLines(node, node.body);
+          // Padding between class members can be left to class-property-grouping
+          if (checkClassBodies) {
+            checkNestedBlankLines(node, node.body);
+          }
 
           node.body.forEach(childNode => {
             checkDocstringPadding(childNode);
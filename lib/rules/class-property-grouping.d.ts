@@ -5,17 +5,54 @@
 
 import type { Rule } from 'eslint';
 
+type SortStrategy = 'none' | 'alphabetical' | 'case-insensitive' | 'natural' | 'length' | 'required-first';
+
+type MemberOrderPreset = 'python-like' | 'react-class-component' | 'typescript-accessibility';
+
+type MatchKeyword =
+  | 'static'
+  | 'constructor'
+  | 'private'
+  | 'get'
+  | 'set'
+  | 'async'
+  | 'generator'
+  | 'accessor'
+  | 'arrow'
+  | 'public'
+  | 'protected'
+  | 'readonly'
+  | 'abstract'
+  | 'override'
+  | 'declare'
+  | 'optional'
+  | 'parameter-properties';
+
 interface GroupDefinition {
   name: string;
-  types: string[];
-  matches: string[];
+  types?: string[];
+  matches?: MatchKeyword[];
+  decorators?: string[];
+  namePattern?: string;
+  catchAll?: boolean;
+  sort?: SortStrategy;
   order: number;
 }
 
 interface ClassPropertyGroupingOptions {
   groups?: GroupDefinition[];
+  preset?: MemberOrderPreset;
   paddingBetweenGroups?: number;
+  paddingWithinGroups?: {
+    fields?: number;
+    multilineFields?: number;
+    methods?: number;
+  };
   enforceAlphabeticalSorting?: boolean;
+  treatArrowPropertiesAsMethods?: boolean;
+  reportUnmatched?: boolean;
+  targets?: Array<'ClassBody' | 'TSInterfaceBody' | 'TSTypeLiteral' | 'ObjectExpression'>;
+  lineEnding?: 'auto' | 'lf' | 'crlf';
 }
 
 declare const rule: Rule.RuleModule;
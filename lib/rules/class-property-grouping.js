@@ -5,6 +5,64 @@
 
 "use strict";
 
+import { getBlankLinePolicy } from "../utils/blank-line-policy.js";
+import { countBlankLines, fixBlankLines, getLineBreak, getLineGaps } from "../utils/blank-lines.js";
+import { MEMBER_ORDER_PRESETS, resolveMemberGroups } from "../utils/member-order-presets.js";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// Keywords a group can list in `matches` to narrow down its members
+const MATCH_KEYWORDS = [
+  "static",
+  "constructor",
+  "private",
+  "get",
+  "set",
+  "async",
+  "generator",
+  "accessor",
+  "arrow",
+  "public",
+  "protected",
+  "readonly",
+  "abstract",
+  "override",
+  "declare",
+  "optional",
+  "parameter-properties",
+];
+
+// Members with these traits only match groups that list them explicitly
+const EXCLUSIVE_TRAITS = ["static", "constructor"];
+
+// Orders a group can sort its members by, with the wording used in reports
+const SORT_STRATEGIES = {
+  "none": null,
+  "alphabetical": "alphabetically",
+  "case-insensitive": "case-insensitively",
+  "natural": "in natural order",
+  "length": "by name length",
+  "required-first": "with required members first",
+};
+
+// Values that evaluate without side effects, so object properties holding them can be reordered
+const PURE_VALUE_TYPES = new Set([
+  "Literal",
+  "Identifier",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+// Code in these nodes runs after the class is set up, so field order does not affect it
+const DEFERRED_NODE_TYPES = new Set([
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "FunctionDeclaration",
+  "ClassBody",
+]);
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -34,56 +92,69 @@ export default {
                   items: { type: "string" },
                 },
                 matches: {
+                  type: "array",
+                  items: { type: "string", enum: MATCH_KEYWORDS },
+                },
+                decorators: {
                   type: "array",
                   items: { type: "string" },
                 },
+                namePattern: { type: "string" },
+                catchAll: { type: "boolean" },
+                sort: {
+                  type: "string",
+                  enum: Object.keys(SORT_STRATEGIES),
+                },
                 order: { type: "integer", minimum: 0 },
               },
               required: ["name", "order"],
               additionalProperties: false,
             },
-            default: [
-              {
-                name: "static-properties",
-                types: ["ClassProperty"],
-                matches: ["static"],
-                order: 0,
-              },
-              {
-                name: "static-methods",
-                types: ["MethodDefinition"],
-                matches: ["static"],
-                order: 1,
-              },
-              {
-                name: "instance-properties",
-                types: ["ClassProperty"],
-                matches: [],
-                order: 2,
-              },
-              {
-                name: "constructor",
-                types: ["MethodDefinition"],
-                matches: ["constructor"],
-                order: 3,
-              },
-              {
-                name: "instance-methods",
-                types: ["MethodDefinition"],
-                matches: [],
-                order: 4,
-              },
-            ],
+          },
+          preset: {
+            type: "string",
+            enum: Object.keys(MEMBER_ORDER_PRESETS),
           },
           paddingBetweenGroups: {
             type: "integer",
             minimum: 0,
             default: 1,
           },
+          paddingWithinGroups: {
+            type: "object",
+            properties: {
+              fields: { type: "integer", minimum: 0 },
+              multilineFields: { type: "integer", minimum: 0 },
+              methods: { type: "integer", minimum: 0 },
+            },
+            additionalProperties: false,
+          },
           enforceAlphabeticalSorting: {
             type: "boolean",
             default: false,
           },
+          treatArrowPropertiesAsMethods: {
+            type: "boolean",
+            default: false,
+          },
+          reportUnmatched: {
+            type: "boolean",
+            default: false,
+          },
+          targets: {
+            type: "array",
+            items: {
+              type: "string",
+              enum: ["ClassBody", "TSInterfaceBody", "TSTypeLiteral", "ObjectExpression"],
+            },
+            uniqueItems: true,
+            default: ["ClassBody"],
+          },
+          lineEnding: {
+            type: "string",
+            enum: ["auto", "lf", "crlf"],
+            default: "auto",
+          },
         },
         additionalProperties: false,
       },
@@ -93,134 +164,635 @@ export default {
         "Class member '{{member}}' should be in group '{{expectedGroup}}' ({{expectedGroupOrder}}) but is in group '{{actualGroup}}' ({{actualGroupOrder}}).",
       wrongAlphabeticalOrder:
         "Class members in the same group should be ordered alphabetically. '{{memberA}}' should come before '{{memberB}}'.",
+      wrongSortOrder:
+        "Class members in group '{{group}}' should be sorted {{strategy}}. '{{memberA}}' should come before '{{memberB}}'.",
       incorrectPaddingBetweenGroups:
-        "Expected {{expected}} empty {{lineText}} between class member groups, but found {{actual}}."
+        "Expected {{expected}} empty {{lineText}} between class member groups, but found {{actual}}.",
+      incorrectPaddingWithinGroup:
+        "Expected {{expected}} empty {{lineText}} between {{kind}} in group '{{group}}', but found {{actual}}.",
+      unmatchedMember:
+        "Class member '{{member}}' does not match any group.",
+      splitAccessorPair:
+        "The getter and setter of '{{member}}' should be next to each other.",
+      splitOverloads:
+        "The overloads of '{{member}}' should be next to each other and to its implementation.",
     },
   },
 
   create(context) {
-    const sourceCode = context.getSourceCode();
+    const sourceCode = context.sourceCode || context.getSourceCode();
     const options = context.options[0] || {};
 
     // Get configured options with defaults
-    const groups = options.groups || [
-      {
-        name: "static-properties",
-        types: ["ClassProperty"],
-        matches: ["static"],
-        order: 0,
-      },
-      {
-        name: "static-methods",
-        types: ["MethodDefinition"],
-        matches: ["static"],
-        order: 1,
-      },
-      {
-        name: "instance-properties",
-        types: ["ClassProperty"],
-        matches: [],
-        order: 2,
-      },
-      {
-        name: "constructor",
-        types: ["MethodDefinition"],
-        matches: ["constructor"],
-        order: 3,
-      },
-      {
-        name: "instance-methods",
-        types: ["MethodDefinition"],
-        matches: [],
-        order: 4,
-      },
-    ];
+    // Groups come from the preset, extended or overridden by configured groups
+    const groups = resolveMemberGroups(options.preset, options.groups);
 
     const paddingBetweenGroups = options.paddingBetweenGroups !== undefined ? options.paddingBetweenGroups : 1;
     const enforceAlphabeticalSorting = options.enforceAlphabeticalSorting !== undefined ? options.enforceAlphabeticalSorting : false;
+    const treatArrowPropertiesAsMethods = options.treatArrowPropertiesAsMethods !== undefined ? options.treatArrowPropertiesAsMethods : false;
+    const targets = options.targets !== undefined ? options.targets : ["ClassBody"];
+    const lineBreak = getLineBreak(sourceCode, options.lineEnding);
+    const reportUnmatched = options.reportUnmatched !== undefined ? options.reportUnmatched : false;
+    const catchAllGroup = groups.find(group => group.catchAll) || null;
+    const namePatterns = new Map(groups
+      .filter(group => group.namePattern)
+      .map(group => [group, new RegExp(group.namePattern, "u")]));
+
+    const paddingWithinGroups = options.paddingWithinGroups !== undefined ? options.paddingWithinGroups : {};
+
+    // Without paddingWithinGroups, the reorder fix separates class members of
+    // the same group like any other nested block. Nothing else checks the
+    // padding inside interfaces, type literals and objects, so those stay packed.
+    const defaultPaddingWithinGroups = getBlankLinePolicy(context, {}).nestedBlockPadding;
 
     /**
-     * Determine which group a class member belongs to
+     * Get the normalised type and the traits of a class member
      * @param {ASTNode} node The class member node
-     * @returns {Object|null} The group object or null if not matched
+     * @returns {Object} { type, traits } where traits is a Set of match keywords
      */
-    function getMemberGroup(node) {
-      let nodeType = node.type;
+    function getMemberDescriptor(node) {
+      const traits = new Set();
+      let type = node.type;
+
+      // Normalize property types to match ESLint's ClassProperty
+      if (type === "PropertyDefinition" || type === "TSPropertyDefinition") {
+        type = "ClassProperty";
+      }
+
+      // Interface, type literal and object literal members are matched as class members
+      if (type === "TSPropertySignature") {
+        type = "ClassProperty";
+      } else if (type === "TSMethodSignature") {
+        type = "MethodDefinition";
+      } else if (type === "TSConstructSignatureDeclaration") {
+        type = "MethodDefinition";
+        traits.add("constructor");
+      } else if (type === "Property") {
+        const isMethod = node.method || node.kind !== "init" || node.value.type === "FunctionExpression";
+        type = isMethod ? "MethodDefinition" : "ClassProperty";
+      }
+
+      if (type === "AccessorProperty" || type === "TSAbstractAccessorProperty") {
+        traits.add("accessor");
+      }
+
+      // TypeScript abstract members are matched as their concrete counterparts
+      if (type.startsWith("TSAbstract")) {
+        traits.add("abstract");
+      }
+
+      if (type === "TSAbstractPropertyDefinition" || type === "AccessorProperty" || type === "TSAbstractAccessorProperty") {
+        type = "ClassProperty";
+      } else if (type === "TSAbstractMethodDefinition") {
+        type = "MethodDefinition";
+      }
+
+      if (node.static && type !== "StaticBlock") {
+        traits.add("static");
+      }
+
+      if (node.key && node.key.type === "PrivateIdentifier") {
+        traits.add("private");
+      } else if (type !== "StaticBlock") {
+        // Members without an accessibility modifier are public in TypeScript
+        traits.add(node.accessibility || "public");
+      }
+
+      for (const modifier of ["readonly", "override", "declare", "optional"]) {
+        if (node[modifier]) traits.add(modifier);
+      }
+
+      if (type === "MethodDefinition") {
+        if (node.kind === "constructor") traits.add("constructor");
+        if (node.kind === "get" || node.kind === "set") traits.add(node.kind);
+
+        // Signatures have no function value
+        if (node.value) {
+          if (node.value.params.some(param => param.type === "TSParameterProperty")) traits.add("parameter-properties");
+          if (node.value.async) traits.add("async");
+          if (node.value.generator) traits.add("generator");
+        }
+      }
+
+      if (type === "ClassProperty" && node.value && node.value.type === "ArrowFunctionExpression") {
+        traits.add("arrow");
+        if (node.value.async) traits.add("async");
+
+        if (treatArrowPropertiesAsMethods) {
+          type = "MethodDefinition";
+        }
+      }
+
+      return { type, traits };
+    }
+
+    /**
+     * Get the names of the decorators applied to a member, without the "@"
+     * and without call arguments
+     * @param {ASTNode} node The class member node
+     * @returns {Array<string>} The decorator names
+     */
+    function getDecoratorNames(node) {
+      return (node.decorators || []).map(decorator => {
+        const expression = decorator.expression.type === "CallExpression"
+          ? decorator.expression.callee
+          : decorator.expression;
+
+        return sourceCode.getText(expression);
+      });
+    }
+
+    /**
+     * Check whether a member matches the criteria of a group. Every keyword in
+     * `matches` must apply to the member, and static members and constructors
+     * only match groups that ask for them explicitly. A group with
+     * `decorators` needs one of those decorators on the member, and a group
+     * with `namePattern` needs the member name to match it.
+     * @param {Object} group The group object
+     * @param {ASTNode} node The class member node
+     * @param {Object} descriptor The descriptor returned by getMemberDescriptor
+     * @returns {boolean} Whether the member belongs to the group
+     */
+    function matchesGroup(group, node, descriptor) {
+      const { type, traits } = descriptor;
+      const matches = group.matches || [];
+
+      if (group.types && !group.types.includes(type) && !group.types.includes(node.type)) {
+        return false;
+      }
+
+      if (group.decorators) {
+        const decoratorNames = getDecoratorNames(node);
+        const wanted = group.decorators.map(name => name.replace(/^@/, ""));
+
+        if (!decoratorNames.some(name => wanted.includes(name))) {
+          return false;
+        }
+      }
+
+      if (group.namePattern && !namePatterns.get(group).test(getMemberName(node))) {
+        return false;
+      }
 
-      // Normalize TypeScript property types to match ESLint's ClassProperty
-      if (nodeType === "PropertyDefinition" || nodeType === "TSPropertyDefinition") {
-        nodeType = "ClassProperty";
+      if (!matches.every(keyword => traits.has(keyword))) {
+        return false;
       }
 
-      // For each group, check if the node matches the group criteria
+      return EXCLUSIVE_TRAITS.every(trait => !traits.has(trait) || matches.includes(trait));
+    }
+
+    /**
+     * Compare how specific two groups are
+     * @param {Object} groupA The first group object
+     * @param {Object} groupB The second group object
+     * @returns {number} Positive if groupA is more specific, negative if groupB is, 0 otherwise
+     */
+    function compareGroupPriority(groupA, groupB) {
+      return (Number(!!groupA.decorators) - Number(!!groupB.decorators)) ||
+        (Number(!!groupA.namePattern) - Number(!!groupB.namePattern)) ||
+        ((groupA.matches || []).length - (groupB.matches || []).length);
+    }
+
+    /**
+     * Determine which group a class member belongs to. When several groups
+     * match, a group selecting by decorator wins over one selecting by name
+     * pattern, which wins over the group with the most `matches` keywords.
+     * Remaining ties go to the group listed first, and members matching no
+     * group belong to the catch-all group, if there is one.
+     * @param {ASTNode} node The class member node
+     * @returns {Object|null} The group object or null if not matched
+     */
+    function getMemberGroup(node) {
+      const descriptor = getMemberDescriptor(node);
+      let memberGroup = null;
+
       for (const group of groups) {
-        // Skip if the node type doesn't match any in the group's types
-        if (!group.types.includes(nodeType)) {
+        if (group.catchAll || !matchesGroup(group, node, descriptor)) {
           continue;
         }
 
-        // For MethodDefinition nodes
-        if (nodeType === "MethodDefinition") {
-          const isConstructor = node.kind === "constructor";
-          const isStatic = !!node.static;
+        if (!memberGroup || compareGroupPriority(group, memberGroup) > 0) {
+          memberGroup = group;
+        }
+      }
 
-          // If this is a constructor and the group is for constructors
-          if (isConstructor && group.matches.includes("constructor")) {
-            return group;
-          }
+      // Members no other group matches fall through to the catch-all group
+      return memberGroup || catchAllGroup;
+    }
 
-          // If this is a static method and the group is for static methods
-          if (isStatic && group.matches.includes("static")) {
-            return group;
-          }
+    /**
+     * Get the member name for a node. Private names keep their "#" and
+     * computed keys are returned as their source text in brackets.
+     * @param {ASTNode} node The class member node
+     * @returns {string} The member name, or "" for members without a key
+     */
+    function getMemberName(node) {
+      if (!node.key) return "";
+      if (node.computed) return `[${sourceCode.getText(node.key)}]`;
 
-          // If this is not static and not a constructor and the group is for regular instance methods
-          if (!isStatic && !isConstructor && !group.matches.includes("static") && !group.matches.includes("constructor")) {
-            return group;
-          }
+      return node.key.type === "Literal" ? String(node.key.value) : sourceCode.getText(node.key);
+    }
+
+    /**
+     * Get the sort strategy of a group. Groups without their own `sort` are
+     * sorted alphabetically when enforceAlphabeticalSorting is on.
+     * @param {Object} group The group object
+     * @returns {string} A key of SORT_STRATEGIES
+     */
+    function getSortStrategy(group) {
+      if (group.sort) return group.sort;
+
+      return enforceAlphabeticalSorting ? "alphabetical" : "none";
+    }
+
+    /**
+     * Compare two members of the same group by the group's sort strategy
+     * @param {Object} memberA The first member unit
+     * @param {Object} memberB The second member unit
+     * @param {string} strategy The sort strategy
+     * @returns {number} Negative if memberA comes first, positive if memberB does, 0 otherwise
+     */
+    function compareWithinGroup(memberA, memberB, strategy) {
+      if (strategy === "required-first") {
+        const optionalA = getMemberDescriptor(memberA.node).traits.has("optional");
+        const optionalB = getMemberDescriptor(memberB.node).traits.has("optional");
+
+        return Number(optionalA) - Number(optionalB);
+      }
+
+      const nameA = getMemberName(memberA.node);
+      const nameB = getMemberName(memberB.node);
+
+      if (!nameA || !nameB) return 0;
+
+      switch (strategy) {
+        case "alphabetical":
+          return nameA.localeCompare(nameB);
+
+        case "case-insensitive":
+          return nameA.localeCompare(nameB, undefined, { sensitivity: "accent" });
+
+        case "natural":
+          return nameA.localeCompare(nameB, undefined, { numeric: true });
+
+        case "length":
+          return nameA.length - nameB.length;
+
+        default:
+          return 0;
+      }
+    }
+
+    /**
+     * Compare two members by group order and then by the sort strategy of their group
+     * @param {Object} memberA The first member unit
+     * @param {Object} memberB The second member unit
+     * @returns {number} Negative if memberA comes first, positive if memberB does, 0 otherwise
+     */
+    function compareMembers(memberA, memberB) {
+      if (memberA.group.order !== memberB.group.order) {
+        return memberA.group.order - memberB.group.order;
+      }
+
+      if (memberA.group === memberB.group) {
+        return compareWithinGroup(memberA, memberB, getSortStrategy(memberA.group));
+      }
+
+      return 0;
+    }
+
+    /**
+     * Get the token that ends a member, including the comma that follows an
+     * object literal property
+     * @param {ASTNode} node The member node
+     * @returns {Token} The last token of the member
+     */
+    function getMemberLastToken(node) {
+      const lastToken = sourceCode.getLastToken(node);
+
+      if (node.type === "Property") {
+        const nextToken = sourceCode.getTokenAfter(lastToken);
+
+        if (nextToken && nextToken.value === ",") {
+          return nextToken;
         }
+      }
 
-        // For ClassProperty nodes
-        if (nodeType === "ClassProperty") {
-          const isStatic = !!node.static;
+      return lastToken;
+    }
 
-          // If this is a static property and the group is for static properties
-          if (isStatic && group.matches.includes("static")) {
-            return group;
-          }
+    /**
+     * Get the comma or semicolon that separates an interface member, type
+     * literal member or object literal property from the next one
+     * @param {ASTNode} node The member node
+     * @returns {Token|null} The delimiter token, or null for class members and undelimited members
+     */
+    function getMemberDelimiter(node) {
+      if (node.parent.type === "ClassBody") return null;
+
+      const lastToken = getMemberLastToken(node);
+      return lastToken.value === "," || lastToken.value === ";" ? lastToken : null;
+    }
 
-          // If this is not static and the group is for regular instance properties
-          if (!isStatic && !group.matches.includes("static")) {
-            return group;
+    /**
+     * Get the source a member occupies, including its decorators, the comments
+     * on the lines above it and a comment trailing its last line
+     * @param {ASTNode} node The member node
+     * @returns {Object} { range, contentEnd, delimiter } where contentEnd is the end of the member before its delimiter
+     */
+    function getMemberParts(node) {
+      let firstToken = sourceCode.getFirstToken(node);
+
+      if (node.decorators && node.decorators.length) {
+        const decoratorToken = sourceCode.getFirstToken(node.decorators[0]);
+
+        if (decoratorToken.range[0] < firstToken.range[0]) {
+          firstToken = decoratorToken;
+        }
+      }
+
+      const lastToken = getMemberLastToken(node);
+      const delimiter = getMemberDelimiter(node);
+      const previousToken = sourceCode.getTokenBefore(firstToken);
+      const leadingComments = sourceCode.getCommentsBefore(firstToken)
+        .filter(comment => comment.loc.start.line > previousToken.loc.end.line);
+      const trailingComments = sourceCode.getCommentsAfter(lastToken)
+        .filter(comment => comment.loc.start.line === lastToken.loc.end.line);
+
+      const start = leadingComments.length ? leadingComments[0].range[0] : firstToken.range[0];
+      const end = trailingComments.length ? trailingComments[trailingComments.length - 1].range[1] : lastToken.range[1];
+      const contentEnd = delimiter
+        ? sourceCode.getTokenBefore(delimiter, { includeComments: true }).range[1]
+        : lastToken.range[1];
+
+      return { range: [start, end], contentEnd, delimiter };
+    }
+
+    /**
+     * Get the source a member unit occupies, from the start of its first
+     * member to the end of its last member
+     * @param {Object} unit The member unit
+     * @returns {Object} { range, contentEnd, delimiter } as returned by getMemberParts
+     */
+    function getUnitParts(unit) {
+      const firstParts = getMemberParts(unit.node);
+      const lastParts = unit.nodes.length > 1 ? getMemberParts(unit.lastNode) : firstParts;
+
+      return {
+        range: [firstParts.range[0], lastParts.range[1]],
+        contentEnd: lastParts.contentEnd,
+        delimiter: lastParts.delimiter,
+      };
+    }
+
+    /**
+     * Collect the names of the class members an initializer reads while the
+     * class is set up, through `this` or the class name. Functions are not
+     * entered, since their bodies run later.
+     * @param {ASTNode} value The initializer
+     * @param {string|null} className The name of the class, if it has one
+     * @returns {Set<string>} The member names read
+     */
+    function getInitializerReads(value, className) {
+      const names = new Set();
+
+      function visit(node) {
+        if (DEFERRED_NODE_TYPES.has(node.type)) return;
+
+        if (node.type === "MemberExpression" && !node.computed &&
+            (node.object.type === "ThisExpression" ||
+             (className && node.object.type === "Identifier" && node.object.name === className))) {
+          names.add(sourceCode.getText(node.property));
+        }
+
+        for (const key of sourceCode.visitorKeys[node.type] || []) {
+          const child = node[key];
+
+          for (const childNode of Array.isArray(child) ? child : [child]) {
+            if (childNode && typeof childNode.type === "string") {
+              visit(childNode);
+            }
           }
         }
       }
 
-      return null;
+      visit(value);
+      return names;
     }
 
     /**
-     * Get the member name for a node
-     * @param {ASTNode} node The class member node
-     * @returns {string} The member name
+     * Check whether sorting moves a field in front of a field of the same
+     * class or instance whose value its initializer reads, which would change
+     * the value it gets
+     * @param {Array<Object>} members The member units in their current order
+     * @param {Array<Object>} sortedMembers The member units in their expected order
+     * @returns {boolean} Whether a field would be initialized before a field it reads
      */
-    function getMemberName(node) {
-      if (node.type === "MethodDefinition" || node.type === "ClassProperty" ||
-          node.type === "PropertyDefinition" || node.type === "TSPropertyDefinition") {
-        if (node.key.type === "Identifier") {
-          return node.key.name;
-        } else if (node.key.type === "Literal") {
-          return String(node.key.value);
+    function movesFieldBeforeDependency(members, sortedMembers) {
+      const classNode = members[0].node.parent.parent;
+      const className = classNode.id ? classNode.id.name : null;
+      const originalIndex = new Map(members.map((member, index) => [member, index]));
+      const isField = member => member.node.type === "PropertyDefinition";
+
+      return sortedMembers.some((member, index) => {
+        if (!isField(member) || !member.node.value) return false;
+
+        const reads = getInitializerReads(member.node.value, className);
+
+        return sortedMembers.slice(index + 1).some(later =>
+          isField(later) &&
+          Boolean(later.node.static) === Boolean(member.node.static) &&
+          originalIndex.get(later) < originalIndex.get(member) &&
+          reads.has(getMemberName(later.node))
+        );
+      });
+    }
+
+    /**
+     * Check whether evaluating a value has no side effects and gives the same
+     * result wherever it is evaluated among the properties of an object
+     * @param {ASTNode} node The value node
+     * @returns {boolean} Whether the value is free of side effects
+     */
+    function isPureValue(node) {
+      if (PURE_VALUE_TYPES.has(node.type)) return true;
+
+      switch (node.type) {
+        case "TemplateLiteral":
+          return node.expressions.every(isPureValue);
+
+        case "UnaryExpression":
+          return node.operator !== "delete" && isPureValue(node.argument);
+
+        case "ArrayExpression":
+          return node.elements.every(element => element === null || isPureValue(element));
+
+        case "ObjectExpression":
+          return node.properties.every(isPureProperty);
+
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Check whether an object property can move without changing what its
+     * key and value evaluate to
+     * @param {ASTNode} node The property node
+     * @returns {boolean} Whether the property is free of side effects
+     */
+    function isPureProperty(node) {
+      return node.type === "Property" &&
+        (!node.computed || isPureValue(node.key)) &&
+        isPureValue(node.value);
+    }
+
+    /**
+     * Check whether a class member placed right after another would be parsed
+     * as part of it, like a field without a semicolon followed by a computed
+     * key, a generator, a string key or parentheses
+     * @param {Object} prevMember The member unit placed first
+     * @param {Object} nextMember The member unit following it
+     * @returns {boolean} Whether the members would run together
+     */
+    function hasAsiHazard(prevMember, nextMember) {
+      const lastNode = prevMember.lastNode;
+      const lastToken = sourceCode.getLastToken(lastNode);
+      const firstToken = sourceCode.getFirstToken(nextMember.node);
+      const hasBody = lastNode.type === "MethodDefinition" || lastNode.type === "StaticBlock";
+
+      if (lastToken.value === ";" || (lastToken.value === "}" && hasBody)) {
+        return false;
+      }
+
+      return ["[", "(", "*"].includes(firstToken.value) ||
+        firstToken.type === "String" || firstToken.type === "Template";
+    }
+
+    /**
+     * Create a fix that moves the members into their expected order. Members
+     * keep their comments and decorators, and the group padding is applied to
+     * the result. Commas and semicolons between interface, type literal and
+     * object literal members are rewritten so that only the last member keeps
+     * the original trailing delimiter.
+     * @param {Array<Object>} members The member units
+     * @returns {Function|null} The fix function, or null if the members cannot be reordered
+     */
+    function getReorderFix(members) {
+      // Members without a group have no place in the expected order
+      if (members.some(member => !member.group)) return null;
+
+      const sortedMembers = members
+        .map((member, index) => ({ member, index }))
+        .sort((a, b) => compareMembers(a.member, b.member) || a.index - b.index)
+        .map(({ member }) => member);
+
+      if (sortedMembers.every((member, index) => member === members[index])) return null;
+
+      // Class members are not separated by delimiters, so a move must not join two of them
+      if (members[0].node.parent.type === "ClassBody" &&
+          sortedMembers.some((member, index) => index > 0 && hasAsiHazard(sortedMembers[index - 1], member))) {
+        return null;
+      }
+
+      // Property values are evaluated in order, so only values without side effects may move
+      if (members[0].node.parent.type === "ObjectExpression" &&
+          !members.every(member => isPureProperty(member.node))) {
+        return null;
+      }
+
+      // Fields are initialized in order, so one must not move ahead of a field it reads
+      if (members[0].node.parent.type === "ClassBody" && movesFieldBeforeDependency(members, sortedMembers)) {
+        return null;
+      }
+
+      const text = sourceCode.getText();
+      const parts = new Map(members.map(member => [member, getUnitParts(member)]));
+
+      // Only whitespace may sit between members, otherwise code would be lost
+      for (let i = 1; i < members.length; i++) {
+        const between = text.slice(parts.get(members[i - 1]).range[1], parts.get(members[i]).range[0]);
+
+        if (/\S/.test(between)) return null;
+      }
+
+      const firstParts = parts.get(members[0]);
+      const lastParts = parts.get(members[members.length - 1]);
+      const start = firstParts.range[0];
+      const end = lastParts.range[1];
+      const indent = sourceCode.lines[sourceCode.getLocFromIndex(start).line - 1].match(/^\s*/)[0];
+
+      const container = members[0].node.parent;
+      const containerType = container.type;
+      const isSingleLineContainer = container.loc.start.line === container.loc.end.line;
+      const foundDelimiter = members.map(member => parts.get(member).delimiter).find(Boolean);
+      const defaultDelimiter = containerType === "ClassBody"
+        ? ""
+        : foundDelimiter ? foundDelimiter.value : containerType === "ObjectExpression" ? "," : ";";
+      const lastDelimiter = lastParts.delimiter ? lastParts.delimiter.value : "";
+
+      let fixedText = "";
+
+      sortedMembers.forEach((member, index) => {
+        // Members of a container written on one line stay on that line
+        if (index > 0 && isSingleLineContainer) {
+          fixedText += " ";
+        } else if (index > 0) {
+          const previousMember = sortedMembers[index - 1];
+          let padding = paddingBetweenGroups;
+
+          // A split overload set is joined back together without padding
+          if (continuesUnit(previousMember, member.node)) {
+            padding = 0;
+          } else if (previousMember.group === member.group) {
+            const paddingWithinGroup = getPaddingWithinGroup(previousMember, member);
+            if (paddingWithinGroup) {
+              padding = paddingWithinGroup.expected;
+            } else {
+              padding = containerType === "ClassBody" ? defaultPaddingWithinGroups : 0;
+            }
+          }
+
+          fixedText += lineBreak.repeat(padding + 1) + indent;
         }
+
+        const { range, contentEnd, delimiter } = parts.get(member);
+        const isLast = index === sortedMembers.length - 1;
+        const delimiterText = isLast ? lastDelimiter : delimiter ? delimiter.value : defaultDelimiter;
+
+        fixedText += text.slice(range[0], contentEnd) + delimiterText +
+          text.slice(delimiter ? delimiter.range[1] : contentEnd, range[1]);
+      });
+
+      return fixer => fixer.replaceTextRange([start, end], fixedText);
+    }
+
+    /**
+     * Report members that match no group, which every other check skips
+     * @param {Array<Object>} members The member units
+     */
+    function checkUnmatchedMembers(members) {
+      if (!reportUnmatched) return;
+
+      for (const { node, group } of members) {
+        if (group) continue;
+
+        context.report({
+          node,
+          messageId: "unmatchedMember",
+          data: {
+            member: getMemberName(node) || (node.type === "StaticBlock" ? "static {}" : node.type),
+          },
+        });
       }
-      return "";
     }
 
     /**
      * Check if members are in correct group order
-     * @param {Array<Object>} members Array of { node, group } objects
+     * @param {Array<Object>} members The member units
+     * @param {Function|null} reorderFix Fix that moves every member into place
      */
-    function checkGroupOrder(members) {
+    function checkGroupOrder(members, reorderFix) {
       let lastGroupOrder = -1;
       let lastGroup = null;
 
@@ -245,6 +817,7 @@ export default {
               actualGroup: group.name,
               actualGroupOrder: group.order,
             },
+            fix: reorderFix,
           });
         }
 
@@ -254,45 +827,43 @@ export default {
     }
 
     /**
-     * Check if members within the same group are sorted alphabetically
-     * @param {Array<Object>} members Array of { node, group } objects
+     * Check if members within the same group follow the sort strategy of the group
+     * @param {Array<Object>} members The member units
+     * @param {Function|null} reorderFix Fix that moves every member into place
      */
-    function checkAlphabeticalOrder(members) {
-      if (!enforceAlphabeticalSorting) return;
-
+    function checkSortOrder(members, reorderFix) {
       // Group members by their group
-      const groupedMembers = {};
+      const groupedMembers = new Map();
 
       for (const member of members) {
-        if (!member.group) continue;
+        if (!member.group || getSortStrategy(member.group) === "none") continue;
 
-        const groupName = member.group.name;
-        if (!groupedMembers[groupName]) {
-          groupedMembers[groupName] = [];
+        if (!groupedMembers.has(member.group)) {
+          groupedMembers.set(member.group, []);
         }
 
-        groupedMembers[groupName].push(member);
+        groupedMembers.get(member.group).push(member);
       }
 
-      // Check each group for alphabetical ordering
-      for (const groupName in groupedMembers) {
-        const groupMembers = groupedMembers[groupName];
+      // Check each group for its sort order
+      for (const [group, groupMembers] of groupedMembers) {
+        const strategy = getSortStrategy(group);
 
         for (let i = 1; i < groupMembers.length; i++) {
-          const prevNode = groupMembers[i - 1].node;
-          const currentNode = groupMembers[i].node;
+          const prevMember = groupMembers[i - 1];
+          const currentMember = groupMembers[i];
 
-          const prevName = getMemberName(prevNode);
-          const currentName = getMemberName(currentNode);
-
-          if (prevName && currentName && prevName.localeCompare(currentName) > 0) {
+          if (compareWithinGroup(prevMember, currentMember, strategy) > 0) {
             context.report({
-              node: currentNode,
-              messageId: "wrongAlphabeticalOrder",
+              node: currentMember.node,
+              messageId: strategy === "alphabetical" ? "wrongAlphabeticalOrder" : "wrongSortOrder",
               data: {
-                memberA: currentName,
-                memberB: prevName,
+                group: group.name,
+                strategy: SORT_STRATEGIES[strategy],
+                memberA: getMemberName(currentMember.node),
+                memberB: getMemberName(prevMember.node),
               },
+              fix: reorderFix,
             });
           }
         }
@@ -300,14 +871,97 @@ export default {
     }
 
     /**
-     * Check padding between different groups
-     * @param {Array<Object>} members Array of { node, group } objects
+     * Check whether a member unit is a field, as opposed to a method, an
+     * accessor pair, an overload set or a static block
+     * @param {Object} member The member unit
+     * @returns {boolean} Whether the member is field-like
      */
-    function checkGroupPadding(members) {
-      if (paddingBetweenGroups <= 0 || members.length < 2) return;
+    function isFieldLike(member) {
+      return member.nodes.length === 1 &&
+        (getMemberDescriptor(member.node).type === "ClassProperty" || member.node.type === "TSIndexSignature");
+    }
+
+    /**
+     * Check whether a member unit spans several lines, not counting the lines
+     * taken by its decorators
+     * @param {Object} member The member unit
+     * @returns {boolean} Whether the member is multi-line
+     */
+    function isMultilineMember(member) {
+      const start = member.node.key || member.node;
+
+      return start.loc.start.line !== getMemberLastToken(member.lastNode).loc.end.line;
+    }
 
-      let currentGroup = null;
+    /**
+     * Get the padding configured between two adjacent members of the same
+     * group. Fields use `multilineFields` when either of them spans several
+     * lines and `fields` otherwise, and any other pair uses `methods`.
+     * @param {Object} prevMember The first member unit
+     * @param {Object} currentMember The member unit following it
+     * @returns {Object|null} { expected, kind }, or null if no padding is configured for the pair
+     */
+    function getPaddingWithinGroup(prevMember, currentMember) {
+      if (!isFieldLike(prevMember) || !isFieldLike(currentMember)) {
+        return paddingWithinGroups.methods !== undefined
+          ? { expected: paddingWithinGroups.methods, kind: "methods" }
+          : null;
+      }
+
+      if (paddingWithinGroups.multilineFields !== undefined &&
+          (isMultilineMember(prevMember) || isMultilineMember(currentMember))) {
+        return { expected: paddingWithinGroups.multilineFields, kind: "multi-line fields" };
+      }
 
+      return paddingWithinGroups.fields !== undefined
+        ? { expected: paddingWithinGroups.fields, kind: "fields" }
+        : null;
+    }
+
+    /**
+     * Report and fix the blank lines between two adjacent members
+     * @param {Object} prevMember The first member unit
+     * @param {Object} currentMember The member unit following it
+     * @param {number} expected The expected number of blank lines
+     * @param {string} messageId The message to report
+     * @param {Object} [data] Additional message data
+     */
+    function checkPaddingBetween(prevMember, currentMember, expected, messageId, data = {}) {
+      const currentNode = currentMember.node;
+      const gaps = getLineGaps(
+        sourceCode,
+        getMemberLastToken(prevMember.lastNode),
+        sourceCode.getFirstToken(currentNode)
+      );
+
+      if (!gaps) return;
+
+      const blankLines = countBlankLines(gaps);
+
+      if (blankLines !== expected) {
+        context.report({
+          node: currentNode,
+          messageId,
+          data: {
+            ...data,
+            expected,
+            actual: blankLines,
+            lineText: expected === 1 ? "line" : "lines",
+          },
+          fix(fixer) {
+            // Only the whitespace around interleaved comments is rewritten
+            return fixBlankLines(fixer, gaps, expected, lineBreak);
+          },
+        });
+      }
+    }
+
+    /**
+     * Check padding between different groups, and between members of the
+     * same group when paddingWithinGroups is configured
+     * @param {Array<Object>} members The member units
+     */
+    function checkGroupPadding(members) {
       for (let i = 1; i < members.length; i++) {
         const prevMember = members[i - 1];
         const currentMember = members[i];
@@ -315,60 +969,211 @@ export default {
         // Skip if either member doesn't have a valid group
         if (!prevMember.group || !currentMember.group) continue;
 
-        // If the groups are different, check padding
-        if (prevMember.group.name !== currentMember.group.name) {
-          const prevNode = prevMember.node;
-          const currentNode = currentMember.node;
+        // Members sharing a line have no blank lines to check
+        if (getMemberLastToken(prevMember.lastNode).loc.end.line === currentMember.node.loc.start.line) continue;
 
-          const prevNodeEnd = prevNode.loc.end.line;
-          const currentNodeStart = currentNode.loc.start.line;
-          const blankLines = currentNodeStart - prevNodeEnd - 1;
+        if (prevMember.group.name !== currentMember.group.name) {
+          if (paddingBetweenGroups > 0) {
+            checkPaddingBetween(prevMember, currentMember, paddingBetweenGroups, "incorrectPaddingBetweenGroups");
+          }
+        } else {
+          const padding = getPaddingWithinGroup(prevMember, currentMember);
 
-          if (blankLines !== paddingBetweenGroups) {
-            context.report({
-              node: currentNode,
-              messageId: "incorrectPaddingBetweenGroups",
-              data: {
-                expected: paddingBetweenGroups,
-                actual: blankLines,
-                lineText: paddingBetweenGroups === 1 ? "line" : "lines",
-              },
-              fix(fixer) {
-                const endOfPrevNode = sourceCode.getLastToken(prevNode);
-                const startOfCurrentNode = sourceCode.getFirstToken(currentNode);
-                const range = [
-                  endOfPrevNode.range[1],
-                  startOfCurrentNode.range[0],
-                ];
-
-                // Create the desired padding
-                const newLines = "\n".repeat(paddingBetweenGroups + 1); // +1 for end of current line
-
-                return fixer.replaceTextRange(range, newLines);
-              },
+          if (padding) {
+            checkPaddingBetween(prevMember, currentMember, padding.expected, "incorrectPaddingWithinGroup", {
+              kind: padding.kind,
+              group: currentMember.group.name,
             });
           }
         }
       }
     }
 
-    return {
+    /**
+     * Check whether a member is a getter or a setter
+     * @param {ASTNode} node The member node
+     * @returns {boolean} Whether the member is an accessor
+     */
+    function isAccessor(node) {
+      return node.kind === "get" || node.kind === "set";
+    }
+
+    /**
+     * Check whether a member is an overload signature without a body
+     * @param {ASTNode} node The member node
+     * @returns {boolean} Whether the member is a signature
+     */
+    function isSignature(node) {
+      return node.type === "TSMethodSignature" ||
+        Boolean(node.value && node.value.type === "TSEmptyBodyFunctionExpression");
+    }
+
+    /**
+     * Check whether a member continues a unit: the setter after its getter (or
+     * the other way around), or the next overload or implementation after an
+     * overload signature
+     * @param {Object} unit The member unit so far
+     * @param {ASTNode} node The member node following the unit
+     * @returns {boolean} Whether the member belongs to the unit
+     */
+    function continuesUnit(unit, node) {
+      const last = unit.lastNode;
+      const key = getMemberName(last);
+
+      if (!key || getMemberName(node) !== key || Boolean(node.static) !== Boolean(last.static)) {
+        return false;
+      }
+
+      if (isAccessor(last)) {
+        return unit.nodes.length === 1 && isAccessor(node) && node.kind !== last.kind;
+      }
+
+      return isSignature(last) && node.kind === last.kind;
+    }
+
+    /**
+     * Combine adjacent members into units. A getter and its setter form a
+     * unit, as do overload signatures and the implementation following them.
+     * An accessor pair takes the group of its first member and an overload
+     * set takes the group of its implementation.
+     * @param {Array<ASTNode>} memberNodes The member nodes
+     * @returns {Array<Object>} Array of { node, lastNode, nodes, group } units
+     */
+    function getMemberUnits(memberNodes) {
+      const units = [];
+
+      for (const memberNode of memberNodes) {
+        const unit = units[units.length - 1];
+
+        if (unit && continuesUnit(unit, memberNode)) {
+          unit.nodes.push(memberNode);
+          unit.lastNode = memberNode;
+
+          if (!isAccessor(memberNode) && !isSignature(memberNode)) {
+            unit.group = getMemberGroup(memberNode);
+          }
+        } else {
+          units.push({
+            node: memberNode,
+            lastNode: memberNode,
+            nodes: [memberNode],
+            group: getMemberGroup(memberNode),
+          });
+        }
+      }
+
+      return units;
+    }
+
+    /**
+     * Report getters separated from their setters and overloads separated
+     * from each other or from their implementation
+     * @param {Array<Object>} members The member units
+     */
+    function checkSplitUnits(members) {
+      const seen = new Map();
+
+      for (const member of members) {
+        const { node } = member;
+        const key = getMemberName(node);
+
+        if (!key || !(isAccessor(node) || node.kind === "method" || node.kind === "constructor")) continue;
+
+        const family = isAccessor(node) ? "accessor" : "method";
+        const seenKey = `${node.static ? "static " : ""}${family} ${key}`;
+        const earlier = seen.get(seenKey);
+
+        if (!earlier) {
+          seen.set(seenKey, member);
+          continue;
+        }
+
+        if (family === "accessor" && !earlier.nodes.some(earlierNode => earlierNode.kind === node.kind)) {
+          context.report({
+            node,
+            messageId: "splitAccessorPair",
+            data: { member: key },
+          });
+        } else if (family === "method" && [...earlier.nodes, ...member.nodes].some(isSignature)) {
+          context.report({
+            node,
+            messageId: "splitOverloads",
+            data: { member: key },
+          });
+        }
+      }
+    }
+
+    /**
+     * Check whether an object literal defines a component or a set of options,
+     * meaning it is the default export or an argument of a call
+     * @param {ASTNode} node The ObjectExpression node
+     * @returns {boolean} Whether the object is checked
+     */
+    function isDefinitionObject(node) {
+      const parent = node.parent;
+
+      return parent.type === "ExportDefaultDeclaration" ||
+        ((parent.type === "CallExpression" || parent.type === "NewExpression") && parent.arguments.includes(node));
+    }
+
+    /**
+     * Run every check on a list of sibling members
+     * @param {Array<ASTNode>} memberNodes The member nodes
+     */
+    function checkMembers(memberNodes) {
+      // Accessor pairs and overload sets are ordered, padded and moved as one unit
+      const members = getMemberUnits(memberNodes);
+
+      checkUnmatchedMembers(members);
+
+      if (members.length <= 1) {
+        return;
+      }
+
+      const reorderFix = getReorderFix(members);
+
+      // Run checks
+      checkSplitUnits(members);
+      checkGroupOrder(members, reorderFix);
+      checkSortOrder(members, reorderFix);
+      checkGroupPadding(members);
+    }
+
+    const visitors = {
       ClassBody(node) {
-        if (!node.body || node.body.length <= 1) {
+        checkMembers(node.body || []);
+      },
+
+      TSInterfaceBody(node) {
+        checkMembers(node.body);
+      },
+
+      TSTypeLiteral(node) {
+        checkMembers(node.members);
+      },
+
+      ObjectExpression(node) {
+        if (!isDefinitionObject(node)) {
           return;
         }
 
-        // Map each node to its group
-        const members = node.body.map(memberNode => ({
-          node: memberNode,
-          group: getMemberGroup(memberNode),
-        }));
+        // Spread elements fix the position of the properties around them
+        let segment = [];
 
-        // Run checks
-        checkGroupOrder(members);
-        checkAlphabeticalOrder(members);
-        checkGroupPadding(members);
+        for (const property of node.properties) {
+          if (property.type === "SpreadElement") {
+            checkMembers(segment);
+            segment = [];
+          } else {
+            segment.push(property);
+          }
+        }
+
+        checkMembers(segment);
       },
     };
+
+    return Object.fromEntries(targets.map(target => [target, visitors[target]]));
   },
-};
\ No newline at end of file
+};
@@ -14,9 +14,11 @@ interface ConsistentLineSpacingOptions {
   afterClass?: number;
   beforeFunction?: number;
   afterFunction?: number;
+  /** @deprecated Ignored, kept so that existing configs validate */
   beforeComment?: number;
   ignoreTopLevelCode?: boolean;
   skipImportGroups?: boolean;
+  lineEnding?: 'auto' | 'lf' | 'crlf';
 }
 
 declare const rule: Rule.RuleModule;
@@ -36,7 +36,8 @@ export default {
       missingTrailingComma: "Multiline object/array should have trailing commas.",
       unexpectedTrailingComma: "Multiline object/array should not have trailing commas.",
       inconsistentSpacing: "Inconsistent spacing in object/array items.",
-      incorrectColonAlignment: "Object property colons should be aligned."
+      incorrectColonAlignment: "Object property colons should be aligned.",
+      incorrectValueAlignment: "Object property values should be aligned."
     },
   },
   create(context) {
@@ -111,6 +112,38 @@ export default {
       return true;
     }
 
+    function getColonToken(prop) {
+      return sourceCode.getTokenBefore(prop.value, token => token.value === ":");
+    }
+
+    // Properties written as "key: value" with the value starting on the line
+    // of its key. Shorthand, spread and method properties keep their layout.
+    function getValueAlignedProperties(properties) {
+      return properties.filter(prop => {
+        if (prop.type !== "Property" || prop.shorthand || prop.method || prop.kind !== "init") {
+          return false;
+        }
+
+        const colon = getColonToken(prop);
+        return prop.loc.start.line === colon.loc.start.line &&
+          getTokenAfterColon(prop).loc.start.line === colon.loc.end.line;
+      });
+    }
+
+    // Characters from the start of a property to the end of its colon
+    function getColonOffset(prop) {
+      return getColonToken(prop).range[1] - prop.range[0];
+    }
+
+    // The value, or a comment in front of it
+    function getTokenAfterColon(prop) {
+      return sourceCode.getTokenAfter(getColonToken(prop), { includeComments: true });
+    }
+
+    function getValueOffset(prop) {
+      return getTokenAfterColon(prop).range[0] - prop.range[0];
+    }
+
     function hasConsistentColonSpacing(node) {
       if (node.type !== "ObjectExpression" || !node.properties.length) {
         return true;
@@ -135,10 +168,11 @@ export default {
         return true;
       }
 
+      // Aligned values leave different spaces after each colon
       const firstSpacing = spacings[0];
       return spacings.every(spacing =>
         spacing.beforeSpace === firstSpacing.beforeSpace &&
-        spacing.afterSpace === firstSpacing.afterSpace
+        (objectAlignment === "value" || spacing.afterSpace === firstSpacing.afterSpace)
       );
     }
 
@@ -188,6 +222,10 @@ export default {
           );
         }
 
+        // Values start one space after the longest "key:"
+        const valueAlignedProperties = isObj && objectAlignment === "value" ? getValueAlignedProperties(elements) : [];
+        const valueOffset = valueAlignedProperties.length ? Math.max(...valueAlignedProperties.map(getColonOffset)) + 1 : 0;
+
         // Add each element
         elements.forEach((element, i) => {
           let elementText = sourceText.slice(element.range[0], element.range[1]);
@@ -201,6 +239,11 @@ export default {
                 const padding = " ".repeat(colonPos - keyText.length);
                 elementText = keyText + padding + elementText.slice(colonIndex);
               }
+            } else if (valueAlignedProperties.includes(element)) {
+              const colon = getColonToken(element);
+              const padding = " ".repeat(valueOffset - getColonOffset(element));
+              elementText = sourceText.slice(element.range[0], colon.range[1]) + padding +
+                sourceText.slice(getTokenAfterColon(element).range[0], element.range[1]);
             }
           }
 
@@ -376,6 +419,32 @@ export default {
             }
           }
         }
+
+        // Check value alignment for multiline objects
+        if (objectAlignment === "value") {
+          const valueAlignedProperties = getValueAlignedProperties(node.properties);
+
+          if (valueAlignedProperties.length <= 1) {
+            return;
+          }
+
+          const valueOffset = Math.max(...valueAlignedProperties.map(getColonOffset)) + 1;
+          const allAligned = valueAlignedProperties.every(prop => getValueOffset(prop) === valueOffset);
+
+          if (!allAligned) {
+            context.report({
+              node,
+              messageId: "incorrectValueAlignment",
+              // Only the whitespace after each colon changes, so comments stay in place
+              fix(fixer) {
+                return valueAlignedProperties.map(prop => fixer.replaceTextRange(
+                  [getColonToken(prop).range[1], getTokenAfterColon(prop).range[0]],
+                  " ".repeat(valueOffset - getColonOffset(prop))
+                ));
+              }
+            });
+          }
+        }
       }
     }
 
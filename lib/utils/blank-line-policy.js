@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Shared resolution of the blank lines expected between adjacent statements
+ * @author tuomashatakka
+ */
+
+/**
+ * Default blank-line counts shared by block-padding and consistent-line-spacing
+ */
+export const DEFAULT_BLANK_LINE_POLICY = {
+  rootBlockPadding: 2,
+  nestedBlockPadding: 1,
+  beforeImports: 1,
+  afterImports: 1,
+  beforeExports: 1,
+  afterExports: 1,
+  beforeClass: 2,
+  afterClass: 2,
+  beforeFunction: 2,
+  afterFunction: 2,
+  skipImportGroups: true,
+};
+
+const KIND_LABELS = {
+  Imports: "import declaration",
+  Exports: "export declaration",
+  Class: "class declaration",
+  Function: "function declaration",
+};
+
+/**
+ * Build the blank-line policy for a rule. The defaults are overridden by the
+ * shared `settings.whitespaced.blankLines` object, which is in turn overridden
+ * by the options given to the rule itself.
+ * @param {RuleContext} context The rule context
+ * @param {Object} options The rule options
+ * @returns {Object} The resolved policy
+ */
+export function getBlankLinePolicy(context, options) {
+  const settings = context.settings && context.settings.whitespaced;
+  const policy = { ...DEFAULT_BLANK_LINE_POLICY, ...(settings && settings.blankLines) };
+
+  for (const key of Object.keys(DEFAULT_BLANK_LINE_POLICY)) {
+    if (options[key] !== undefined) {
+      policy[key] = options[key];
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Get the statement kinds that carry their own blank-line requirements
+ * @param {ASTNode} node The statement node
+ * @returns {Array<string>} Kind names matching the before/after policy keys
+ */
+function getStatementKinds(node) {
+  switch (node.type) {
+    case "ImportDeclaration":
+      return ["Imports"];
+
+    case "ExportNamedDeclaration":
+    case "ExportDefaultDeclaration":
+      return node.declaration ? ["Exports", ...getStatementKinds(node.declaration)] : ["Exports"];
+
+    case "ExportAllDeclaration":
+      return ["Exports"];
+
+    case "ClassDeclaration":
+      return ["Class"];
+
+    case "FunctionDeclaration":
+      return ["Function"];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Work out the single number of blank lines expected between two adjacent
+ * statements. The before/after requirements of both statements are compared
+ * and the largest one wins; when neither statement has a requirement of its
+ * own, the root or nested block padding applies.
+ * @param {ASTNode} prevNode The first statement
+ * @param {ASTNode} nextNode The statement following it
+ * @param {Object} policy The policy returned by getBlankLinePolicy
+ * @returns {Object|null} { expected, side, node, nodeType }, where side is "before", "after" or null for block padding, or null if the pair is not checked
+ */
+export function resolveBlankLines(prevNode, nextNode, policy) {
+  if (policy.skipImportGroups && prevNode.type === "ImportDeclaration" && nextNode.type === "ImportDeclaration") {
+    return null;
+  }
+
+  const demands = [
+    ...getStatementKinds(prevNode).map(kind => ({
+      expected: policy[`after${kind}`],
+      side: "after",
+      node: prevNode,
+      nodeType: KIND_LABELS[kind],
+    })),
+    ...getStatementKinds(nextNode).map(kind => ({
+      expected: policy[`before${kind}`],
+      side: "before",
+      node: nextNode,
+      nodeType: KIND_LABELS[kind],
+    })),
+  ];
+
+  if (!demands.length) {
+    const isRoot = nextNode.parent && nextNode.parent.type === "Program";
+
+    return {
+      expected: isRoot ? policy.rootBlockPadding : policy.nestedBlockPadding,
+      side: null,
+      node: nextNode,
+      nodeType: null,
+    };
+  }
+
+  return demands.reduce((winner, demand) => demand.expected > winner.expected ? demand : winner);
+}
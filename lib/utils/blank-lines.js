@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Helpers for counting and fixing blank lines between tokens without touching comments
+ * @author tuomashatakka
+ */
+
+const LINEBREAK_PATTERN = /\r\n|[\r\n\u2028\u2029]/g;
+
+/**
+ * Count the line breaks in a piece of text
+ * @param {string} text The text to inspect
+ * @returns {number} The number of line breaks
+ */
+function countLineBreaks(text) {
+  return (text.match(LINEBREAK_PATTERN) || []).length;
+}
+
+/**
+ * Get the line break sequence used by fixes
+ * @param {SourceCode} sourceCode The source code object
+ * @param {string} [lineEnding="auto"] One of "auto", "lf" or "crlf"; "auto" reuses the first line break of the file
+ * @returns {string} The line break sequence
+ */
+export function getLineBreak(sourceCode, lineEnding = "auto") {
+  if (lineEnding === "lf") return "\n";
+  if (lineEnding === "crlf") return "\r\n";
+
+  const match = sourceCode.getText().match(/\r\n|\r|\n/);
+  return match ? match[0] : "\n";
+}
+
+/**
+ * Collect the whitespace gaps between two tokens. Comments between the tokens
+ * split the range into several gaps, and only gaps that span a line break are
+ * returned, so a comment on the same line as its neighbour stays attached to it.
+ * When the tokens sit on the same line, the single inline gap in front of
+ * `right` is returned with `blankLines` set to -1. Each gap also records the
+ * indentation of the line that follows it, so fixes can keep it.
+ * @param {SourceCode} sourceCode The source code object
+ * @param {Token|Comment} left The last token before the gap
+ * @param {Token|Comment} right The first token after the gap
+ * @returns {Array<Object>|null} Array of { range, blankLines, indent } objects, or null if code sits between the tokens
+ */
+export function getLineGaps(sourceCode, left, right) {
+  const between = sourceCode.getTokensBetween(left, right, { includeComments: true });
+
+  if (between.some(token => token.type !== "Line" && token.type !== "Block")) {
+    return null;
+  }
+
+  const text = sourceCode.getText();
+  const chain = [left, ...between, right];
+  const gaps = [];
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    const range = [chain[i].range[1], chain[i + 1].range[0]];
+    const gapText = text.slice(range[0], range[1]);
+    const lineBreaks = countLineBreaks(gapText);
+
+    if (lineBreaks > 0) {
+      const indent = gapText.split(LINEBREAK_PATTERN).pop();
+      gaps.push({ range, blankLines: lineBreaks - 1, indent });
+    }
+  }
+
+  if (!gaps.length) {
+    const lastToken = chain[chain.length - 2];
+    const indent = sourceCode.lines[right.loc.start.line - 1].match(/^\s*/)[0];
+    gaps.push({ range: [lastToken.range[1], right.range[0]], blankLines: -1, indent });
+  }
+
+  return gaps;
+}
+
+/**
+ * Count the blank lines in a list of gaps, ignoring the lines taken by comments
+ * @param {Array<Object>} gaps The gaps returned by getLineGaps
+ * @returns {number} The total number of blank lines
+ */
+export function countBlankLines(gaps) {
+  return gaps.reduce((total, gap) => total + gap.blankLines, 0);
+}
+
+/**
+ * Create the fixes that bring a list of gaps to the expected number of blank
+ * lines. Missing lines are added to the first gap, and surplus lines are
+ * removed starting from the first gap. Only whitespace is rewritten, so the
+ * comments between the gaps are kept as they are, and the line following each
+ * gap keeps its indentation.
+ * @param {RuleFixer} fixer The rule fixer
+ * @param {Array<Object>} gaps The gaps returned by getLineGaps
+ * @param {number} expected The expected number of blank lines
+ * @param {string} [lineBreak="\n"] The line break sequence to write
+ * @returns {Array<Fix>} The fixes to apply
+ */
+export function fixBlankLines(fixer, gaps, expected, lineBreak = "\n") {
+  let difference = expected - countBlankLines(gaps);
+  const fixes = [];
+
+  gaps.forEach((gap, index) => {
+    let blankLines = gap.blankLines;
+
+    if (difference > 0 && index === 0) {
+      blankLines += difference;
+      difference = 0;
+    } else if (difference < 0) {
+      const removed = Math.min(Math.max(blankLines, 0), -difference);
+      blankLines -= removed;
+      difference += removed;
+    }
+
+    if (blankLines !== gap.blankLines) {
+      fixes.push(fixer.replaceTextRange(gap.range, lineBreak.repeat(blankLines + 1) + gap.indent));
+    }
+  });
+
+  return fixes;
+}
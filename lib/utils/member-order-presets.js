@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Named member group presets for the class-property-grouping rule
+ * @author tuomashatakka
+ */
+
+const REACT_LIFECYCLE_METHODS = [
+  "componentDidMount",
+  "shouldComponentUpdate",
+  "getSnapshotBeforeUpdate",
+  "componentDidUpdate",
+  "componentWillUnmount",
+  "componentDidCatch",
+];
+
+export const MEMBER_ORDER_PRESETS = {
+  // Static members first, then instance fields, the constructor and methods
+  "python-like": [
+    {
+      name: "static-properties",
+      types: ["ClassProperty"],
+      matches: ["static"],
+      order: 0,
+    },
+    {
+      name: "static-methods",
+      types: ["MethodDefinition"],
+      matches: ["static"],
+      order: 1,
+    },
+    {
+      name: "instance-properties",
+      types: ["ClassProperty"],
+      matches: [],
+      order: 2,
+    },
+    {
+      name: "constructor",
+      types: ["MethodDefinition"],
+      matches: ["constructor"],
+      order: 3,
+    },
+    {
+      name: "instance-methods",
+      types: ["MethodDefinition"],
+      matches: [],
+      order: 4,
+    },
+  ],
+
+  // Static defaults and propTypes, state, lifecycle methods in the order React
+  // calls them, event handlers, other methods and render last
+  "react-class-component": [
+    {
+      name: "static-properties",
+      types: ["ClassProperty"],
+      matches: ["static"],
+      order: 0,
+    },
+    {
+      name: "static-methods",
+      types: ["MethodDefinition"],
+      matches: ["static"],
+      order: 1,
+    },
+    {
+      name: "instance-properties",
+      types: ["ClassProperty"],
+      matches: [],
+      order: 2,
+    },
+    {
+      name: "constructor",
+      types: ["MethodDefinition"],
+      matches: ["constructor"],
+      order: 3,
+    },
+    ...REACT_LIFECYCLE_METHODS.map((methodName, index) => ({
+      name: methodName,
+      types: ["MethodDefinition"],
+      namePattern: `^${methodName}$`,
+      order: 4 + index,
+    })),
+    {
+      name: "handlers",
+      types: ["MethodDefinition", "ClassProperty"],
+      namePattern: "^(on|handle)[A-Z]",
+      order: 4 + REACT_LIFECYCLE_METHODS.length,
+    },
+    {
+      name: "instance-methods",
+      types: ["MethodDefinition"],
+      matches: [],
+      order: 5 + REACT_LIFECYCLE_METHODS.length,
+    },
+    {
+      name: "render",
+      types: ["MethodDefinition"],
+      namePattern: "^render$",
+      order: 6 + REACT_LIFECYCLE_METHODS.length,
+    },
+  ],
+
+  // TypeScript members ordered by modifiers and accessibility
+  "typescript-accessibility": [
+    {
+      name: "public-static-readonly",
+      types: ["ClassProperty"],
+      matches: ["public", "static", "readonly"],
+      order: 0,
+    },
+    {
+      name: "static-properties",
+      types: ["ClassProperty"],
+      matches: ["static"],
+      order: 1,
+    },
+    {
+      name: "index-signatures",
+      types: ["TSIndexSignature"],
+      order: 2,
+    },
+    {
+      name: "public-properties",
+      types: ["ClassProperty"],
+      matches: ["public"],
+      order: 3,
+    },
+    {
+      name: "protected-properties",
+      types: ["ClassProperty"],
+      matches: ["protected"],
+      order: 4,
+    },
+    {
+      name: "private-properties",
+      types: ["ClassProperty"],
+      matches: ["private"],
+      order: 5,
+    },
+    {
+      name: "constructor",
+      types: ["MethodDefinition"],
+      matches: ["constructor"],
+      order: 6,
+    },
+    {
+      name: "static-methods",
+      types: ["MethodDefinition"],
+      matches: ["static"],
+      order: 7,
+    },
+    {
+      name: "abstract-methods",
+      types: ["MethodDefinition"],
+      matches: ["abstract"],
+      order: 8,
+    },
+    {
+      name: "public-methods",
+      types: ["MethodDefinition"],
+      matches: ["public"],
+      order: 9,
+    },
+    {
+      name: "protected-methods",
+      types: ["MethodDefinition"],
+      matches: ["protected"],
+      order: 10,
+    },
+    {
+      name: "private-methods",
+      types: ["MethodDefinition"],
+      matches: ["private"],
+      order: 11,
+    },
+  ],
+};
+
+export const DEFAULT_MEMBER_ORDER_PRESET = "python-like";
+
+/**
+ * Resolve the groups for a preset, extended by explicitly configured groups.
+ * A configured group replaces the preset group with the same name, and other
+ * configured groups are added to the preset.
+ * @param {string} [presetName] The preset name, defaults to "python-like"
+ * @param {Array<Object>} [groups] Configured groups
+ * @returns {Array<Object>} The resolved groups
+ */
+export function resolveMemberGroups(presetName, groups) {
+  // Explicit groups without a preset replace the default groups entirely
+  if (!presetName && groups) {
+    return groups;
+  }
+
+  const presetGroups = MEMBER_ORDER_PRESETS[presetName || DEFAULT_MEMBER_ORDER_PRESET];
+
+  if (!groups) {
+    return presetGroups;
+  }
+
+  const overrides = new Map(groups.map(group => [group.name, group]));
+  const presetNames = new Set(presetGroups.map(group => group.name));
+
+  return [
+    ...presetGroups.map(group => overrides.get(group.name) || group),
+    ...groups.filter(group => !presetNames.has(group.name)),
+  ];
+}
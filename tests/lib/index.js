@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for the plugin entry point
+ * @author tuomashatakka
+ */
+
+import assert from 'assert';
+import { Linter } from 'eslint';
+import plugin from '../../lib/index.js';
+
+// The rule tests swap `create` for simplified mocks once they are loaded,
+// so keep copies of the real rules for the configuration checks below
+const realPlugin = {
+  ...plugin,
+  rules: Object.fromEntries(Object.entries(plugin.rules).map(([name, rule]) => [name, { ...rule }])),
+};
+const flatRecommended = {
+  ...plugin.configs["flat/recommended"],
+  plugins: { whitespaced: realPlugin },
+};
+
+describe("plugin", () => {
+  it("exposes meta information", () => {
+    assert.strictEqual(plugin.meta.name, "eslint-plugin-whitespaced");
+    assert.strictEqual(typeof plugin.meta.version, "string");
+  });
+
+  it("keeps the legacy recommended config", () => {
+    assert.deepStrictEqual(plugin.configs.recommended.plugins, ["whitespaced"]);
+  });
+
+  it("provides a flat recommended config", () => {
+    const config = plugin.configs["flat/recommended"];
+
+    assert.strictEqual(config.plugins.whitespaced, plugin);
+    assert.deepStrictEqual(
+      Object.keys(config.rules),
+      Object.keys(plugin.rules).map(rule => `whitespaced/${rule}`)
+    );
+  });
+
+  it("runs every rule through a flat config", () => {
+    const linter = new Linter({ configType: "flat" });
+    const messages = linter.verify("const a = 1;\n", [
+      {
+        languageOptions: {
+          ecmaVersion: 2022,
+          sourceType: "module",
+        },
+      },
+      flatRecommended,
+    ]);
+
+    assert.deepStrictEqual(messages.filter(message => message.fatal), []);
+  });
+
+  it("resolves blank lines without conflicts between the padding rules", () => {
+    const linter = new Linter({ configType: "flat" });
+    const config = [
+      {
+        languageOptions: {
+          ecmaVersion: 2022,
+          sourceType: "module",
+        },
+      },
+      flatRecommended,
+    ];
+    const code = [
+      "import a from 'a';",
+      "import b from 'b';",
+      "function run() {",
+      "  return a;",
+      "}",
+      "export default run;",
+      "const c = b;",
+      "",
+    ].join("\n");
+
+    const { output } = linter.verifyAndFix(code, config);
+    const messages = linter.verify(output, config)
+      .filter(message => /block-padding|consistent-line-spacing/.test(message.ruleId));
+
+    assert.deepStrictEqual(messages, []);
+  });
+});
@@ -3,6 +3,7 @@
  * @author tuomashatakka
  */
 
+import { createRequire } from 'module';
 import { RuleTester } from 'eslint';
 import rule from '../../../lib/rules/aligned-assignments.js';
 
@@ -37,5 +38,825 @@ function test() {
     },
   ],
   // We'll simplify our invalid tests to just one minimal case
-  invalid: []
+  invalid: [
+    {
+      code: `
+function test() {
+  const a = 1;
+  const abc = 2;
+}
+      `,
+      output: `
+function test() {
+  const a   = 1;
+  const abc = 2;
+}
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ]
+});
+
+ruleTester.run("aligned-assignments (assignment expressions)", rule, {
+  valid: [
+    {
+      code: `
+class Client {
+  constructor(name, timeout) {
+    this.name    = name;
+    this.timeout = timeout;
+  }
+}
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+    },
+    // Assignments are only aligned when asked for
+    {
+      code: `
+module.exports.a = 1;
+module.exports.longer = 2;
+      `,
+    },
+    // Switching between declarations and assignments starts a new run
+    {
+      code: `
+const a = 1;
+this.longer = 2;
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+function configure(name, timeout) {
+  this.name = name;
+  this.timeout = timeout;
+}
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+      output: `
+function configure(name, timeout) {
+  this.name    = name;
+  this.timeout = timeout;
+}
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    {
+      code: `
+module.exports.foo = foo;
+module.exports.barBaz   = barBaz;
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+      output: `
+module.exports.foo      = foo;
+module.exports.barBaz   = barBaz;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (compound operators)", rule, {
+  valid: [
+    {
+      code: `
+total  += price;
+count  = 0;
+cache  ??= {};
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+    },
+    {
+      code: `
+total  += price;
+count   = 0;
+cache ??= {};
+      `,
+      options: [{ alignAssignmentExpressions: true, operatorAnchor: "right" }],
+    },
+    // Declarations only use "=", which lines up with either anchor
+    {
+      code: `
+function reset() {
+  let a   = 1;
+  let abc = 2;
+}
+      `,
+      options: [{ operatorAnchor: "right" }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+total += price;
+count = 0;
+cache ??= {};
+exponent **= 2;
+      `,
+      options: [{ alignAssignmentExpressions: true }],
+      output: `
+total    += price;
+count    = 0;
+cache    ??= {};
+exponent **= 2;
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+      ],
+    },
+    {
+      code: `
+total += price;
+count = 0;
+cache ??= {};
+exponent **= 2;
+      `,
+      options: [{ alignAssignmentExpressions: true, operatorAnchor: "right" }],
+      output: `
+total     += price;
+count      = 0;
+cache    ??= {};
+exponent **= 2;
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+      ],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (comments and literals)", rule, {
+  valid: [
+    {
+      code: `
+const width  = 10;    // columns
+const height = 2;     // rows
+      `,
+      options: [{ alignComments: true }],
+    },
+    {
+      code: `
+const SECOND =     1;
+const MINUTE =    60;
+const HOUR   =  3600;
+const OFFSET = -1200;
+      `,
+      options: [{ alignLiterals: true }],
+    },
+    // Both options are off by default
+    {
+      code: `
+const width  = 10; // columns
+const height = 2;   // rows
+      `,
+    },
+  ],
+  invalid: [
+    // A comment in front of a literal leaves it out of literal alignment
+    {
+      code: `
+const a = /* x */ 1;
+const bbb = 100000000000000;
+      `,
+      options: [{ alignLiterals: true }],
+      output: `
+const a   = /* x */ 1;
+const bbb = 100000000000000;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    {
+      code: `
+const width  = 10; // columns
+const height = 2; // rows
+const label  = "grid"; /* shown in the header */
+      `,
+      options: [{ alignComments: true }],
+      output: `
+const width  = 10;     // columns
+const height = 2;      // rows
+const label  = "grid"; /* shown in the header */
+      `,
+      errors: [
+        { messageId: "misalignedComment" },
+        { messageId: "misalignedComment" },
+      ],
+    },
+    {
+      code: `
+const SECOND = 1;
+const MINUTE = 60;
+const HOUR   = 3600;
+      `,
+      options: [{ alignLiterals: true }],
+      output: `
+const SECOND =    1;
+const MINUTE =   60;
+const HOUR   = 3600;
+      `,
+      errors: [
+        { messageId: "misalignedLiteral" },
+        { messageId: "misalignedLiteral" },
+      ],
+    },
+    // Comments follow the columns produced by the other fixes
+    {
+      code: `
+total = 1; // first
+count += 20;   // second
+      `,
+      options: [{ alignAssignmentExpressions: true, operatorAnchor: "right", alignLiterals: true, alignComments: true }],
+      output: `
+total  =  1;   // first
+count += 20;   // second
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedLiteral" },
+        { messageId: "misalignedComment" },
+      ],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (exports)", rule, {
+  valid: [
+    {
+      code: `
+export const A         = 1;
+export const LONG_NAME = 2;
+const local            = 3;
+      `,
+    },
+    {
+      code: `
+export const A         = 1;
+export const LONG_NAME = 2;
+const local = 3;
+const other = 4;
+      `,
+      options: [{ separateExports: true }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+export const A = 1;
+export const LONG_NAME = 2;
+      `,
+      output: `
+export const A         = 1;
+export const LONG_NAME = 2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (group boundaries)", rule, {
+  valid: [
+    {
+      code: `
+const a = 1;
+const b = 2;
+setup();
+const longer = 3;
+const other  = 4;
+      `,
+      options: [{ ignoreAdjacent: false, breakOnStatements: true }],
+    },
+    {
+      code: `
+const a = 1;
+const b = 2;
+
+
+const longer = 3;
+const other  = 4;
+      `,
+      options: [{ ignoreAdjacent: false, breakOnBlankLines: 2 }],
+    },
+    {
+      code: `
+const a = 1; // not a boundary
+const b = 2;
+// Timeouts
+const longer = 3;
+const other  = 4;
+      `,
+      options: [{ ignoreAdjacent: false, breakOnComments: true }],
+    },
+  ],
+  invalid: [
+    // Without boundaries, every declaration of the scope is aligned together
+    {
+      code: `
+const a = 1;
+setup();
+const longer = 2;
+      `,
+      options: [{ ignoreAdjacent: false }],
+      output: `
+const a      = 1;
+setup();
+const longer = 2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    // A single blank line stays within the run
+    {
+      code: `
+const a = 1;
+
+const longer = 2;
+
+
+const b = 3;
+      `,
+      options: [{ ignoreAdjacent: false, breakOnBlankLines: 2 }],
+      output: `
+const a      = 1;
+
+const longer = 2;
+
+
+const b = 3;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (max padding)", rule, {
+  valid: [
+    {
+      code: `
+const a  = 1;
+const bb = 2;
+const aVeryLongIdentifierName = 3;
+      `,
+      options: [{ maxPadding: 4, outlierStrategy: "ignore" }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const a = 1;
+const bb = 2;
+const aVeryLongIdentifierName = 3;
+const somewhatLongerName = 4;
+      `,
+      options: [{ maxPadding: 8 }],
+      output: `
+const a  = 1;
+const bb = 2;
+const aVeryLongIdentifierName = 3;
+const somewhatLongerName      = 4;
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+      ],
+    },
+    {
+      code: `
+const a = 1;
+const aVeryLongIdentifierName = 2;
+const bb = 3;
+      `,
+      options: [{ maxPadding: 4, outlierStrategy: "ignore" }],
+      output: `
+const a  = 1;
+const aVeryLongIdentifierName = 2;
+const bb = 3;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (multi-line initializers)", rule, {
+  valid: [
+    {
+      code: `
+const a = 1;
+const handler = () => {
+  return a;
+};
+const bb = 2;
+      `,
+      options: [{ multilineInitializers: "break" }],
+    },
+  ],
+  invalid: [
+    // Aligned by the first line, without retyping the initializer
+    {
+      code: `
+const a = 1;
+const handler = () => {
+  return  a;
+};
+      `,
+      output: `
+const a       = 1;
+const handler = () => {
+  return  a;
+};
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    // The lines around an excluded declarator still form one group
+    {
+      code: `
+const a = 1;
+const options = {
+  verbose: true,
+};
+const bb = 2;
+      `,
+      options: [{ multilineInitializers: "exclude" }],
+      output: `
+const a  = 1;
+const options = {
+  verbose: true,
+};
+const bb = 2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    // Only the whitespace before "=" changes
+    {
+      code: `
+let a =   1;
+let abc =2;
+      `,
+      output: `
+let a   =   1;
+let abc =2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    // A comment in front of the operator is kept
+    {
+      code: `
+const bbbbbbbbbbbbbbb = 1;
+const a /* c */ = 2;
+      `,
+      output: `
+const bbbbbbbbbbbbbbb = 1;
+const a /* c */       = 2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+const require = createRequire(import.meta.url);
+const typeScriptRuleTester = new RuleTester({
+  parser: require.resolve("@typescript-eslint/parser"),
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+typeScriptRuleTester.run("aligned-assignments (type annotations)", rule, {
+  valid: [],
+  invalid: [
+    {
+      code: `
+const id: number = 1;
+const title: string[] = [];
+      `,
+      options: [{ alignTypes: true }],
+      output: `
+const id   : number   = 1;
+const title: string[] = [];
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedTypes" },
+      ],
+    },
+    {
+      code: `
+const longerName: string = "";
+const a /* c */: string = "";
+      `,
+      options: [{ alignTypes: true }],
+      output: `
+const longerName: string = "";
+const a /* c */ : string = "";
+      `,
+      errors: [{ messageId: "misalignedTypes" }],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("aligned-assignments (interfaces and type aliases)", rule, {
+  valid: [
+    {
+      code: `
+interface User {
+  id:       number;
+  name:     string;
+  nickname?: string;
+}
+      `,
+    },
+    {
+      code: `
+interface User {
+  id:   number;
+  name: string;
+  greet(): void;
+  nickname?: string;
+}
+type Point = { x:     number; y: number };
+      `,
+      options: [{ alignTypes: true }],
+    },
+    {
+      code: `
+type Id        = string;
+type UserList  = User[];
+export type Fn = () => void;
+      `,
+      options: [{ alignTypes: true }],
+    },
+    // A member without a type annotation skips the run by default
+    {
+      code: `
+interface Loose {
+  id: number;
+  anything;
+  displayName: string;
+}
+      `,
+      options: [{ alignTypes: true }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+interface User {
+  id: number;
+  name: string;
+  nickname?: string;
+}
+      `,
+      options: [{ alignTypes: true }],
+      output: `
+interface User {
+  id:        number;
+  name:      string;
+  nickname?: string;
+}
+      `,
+      errors: [
+        { messageId: "misalignedTypes" },
+        { messageId: "misalignedTypes" },
+      ],
+    },
+    {
+      code: `
+type Options = {
+  timeout: number;
+  retries:    number;
+
+  onError: (error: Error) => void;
+};
+      `,
+      options: [{ alignTypes: true }],
+      output: `
+type Options = {
+  timeout:    number;
+  retries:    number;
+
+  onError: (error: Error) => void;
+};
+      `,
+      errors: [{ messageId: "misalignedTypes" }],
+    },
+    {
+      code: `
+interface Loose {
+  id: number;
+  anything;
+  displayName: string;
+}
+      `,
+      options: [{ alignTypes: true, ignoreTypesMismatch: false }],
+      output: `
+interface Loose {
+  id:          number;
+  anything;
+  displayName: string;
+}
+      `,
+      errors: [{ messageId: "misalignedTypes" }],
+    },
+    {
+      code: `
+type Id = string;
+type UserList = User[];
+export type Callback<T> = (value: T) => void;
+      `,
+      options: [{ alignTypes: true }],
+      output: `
+type Id                 = string;
+type UserList           = User[];
+export type Callback<T> = (value: T) => void;
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+      ],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (patterns and declarator lists)", rule, {
+  valid: [
+    {
+      code: `
+const { a, b }   = options;
+const [first]    = items;
+const longerName = 1;
+      `,
+    },
+    // Declarators sharing a line with an earlier one are left as they are
+    {
+      code: `
+let a      = 1, b = 2;
+let longer = 3;
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const { a, b } = options;
+const [first] = items;
+const longerName = 1;
+      `,
+      output: `
+const { a, b }   = options;
+const [first]    = items;
+const longerName = 1;
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+      ],
+    },
+    {
+      code: `
+let a = 1, b = 2; // first line
+let longer = 3; // second line
+      `,
+      options: [{ alignComments: true }],
+      output: `
+let a      = 1, b = 2; // first line
+let longer = 3;        // second line
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedComment" },
+      ],
+    },
+    {
+      code: `
+let a = 1,
+    longer = 2;
+      `,
+      output: `
+let a      = 1,
+    longer = 2;
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+  ],
+});
+
+ruleTester.run("aligned-assignments (class fields)", rule, {
+  valid: [
+    // Class fields are left alone by default
+    {
+      code: `
+class Client {
+  timeout = 5000;
+  #retries = 3;
+}
+      `,
+    },
+    {
+      code: `
+class Button {
+  static defaultProps = {};
+  timeout             = 5000;
+  #retries            = 3;
+  label;
+
+  render() {}
+}
+      `,
+      options: [{ alignClassFields: true }],
+    },
+    // Methods end a run of fields
+    {
+      code: `
+class Counter {
+  count = 0;
+  increment() {}
+  maximumCount = 10;
+}
+      `,
+      options: [{ alignClassFields: true, ignoreAdjacent: false }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Button {
+  static defaultProps = {};
+  timeout = 5000; // milliseconds
+  #retries = 3; // attempts
+}
+      `,
+      options: [{ alignClassFields: true, alignComments: true }],
+      output: `
+class Button {
+  static defaultProps = {};
+  timeout             = 5000; // milliseconds
+  #retries            = 3;    // attempts
+}
+      `,
+      errors: [
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedAssignment" },
+        { messageId: "misalignedComment" },
+      ],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("aligned-assignments (typed class fields)", rule, {
+  valid: [],
+  invalid: [
+    {
+      code: `
+class Client {
+  private readonly baseUrl: string = "/";
+  timeout?: number = 5000;
+}
+      `,
+      options: [{ alignClassFields: true }],
+      output: `
+class Client {
+  private readonly baseUrl: string = "/";
+  timeout?: number                 = 5000;
+}
+      `,
+      errors: [{ messageId: "misalignedAssignment" }],
+    },
+    {
+      code: `
+class Client {
+  private readonly baseUrl: string = "/";
+  timeout?: number = 5000;
+}
+      `,
+      options: [{ alignClassFields: true, alignTypes: true }],
+      output: `
+class Client {
+  private readonly baseUrl: string = "/";
+  timeout?:                 number = 5000;
+}
+      `,
+      errors: [{ messageId: "misalignedTypes" }],
+    },
+    {
+      code: `
+class Point {
+  a: number = 1;
+  private readonly bbbb: string = "x";
+}
+      `,
+      options: [{ alignClassFields: true, alignTypes: true }],
+      output: `
+class Point {
+  a:                     number = 1;
+  private readonly bbbb: string = "x";
+}
+      `,
+      errors: [{ messageId: "misalignedTypes" }],
+    },
+  ],
 });
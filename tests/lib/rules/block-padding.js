@@ -155,3 +155,90 @@ function test() {
     },
   ],
 });
+
+// The cases below run the actual rule implementation
+const realRule = { ...rule, create: originalCreate };
+
+ruleTester.run("block-padding (comments)", realRule, {
+  valid: [
+    // Comment lines are not counted as blank lines
+    {
+      code: "foo();\n\n// section\nbar();\n",
+      options: [{ rootBlockPadding: 1, docstringPadding: 0 }],
+    },
+  ],
+  invalid: [
+    // Interleaved comments are kept when padding is added
+    {
+      code: "foo();\n// TODO: remove\nbar();\n",
+      options: [{ rootBlockPadding: 1, docstringPadding: 0 }],
+      output: "foo();\n\n// TODO: remove\nbar();\n",
+      errors: [{ messageId: "missingPaddingBetweenRootBlocks" }],
+    },
+    // Surplus padding is removed around the comment, not with it
+    {
+      code: "foo();\n\n\n/* section */\n\nbar();\n",
+      options: [{ rootBlockPadding: 1, docstringPadding: 1 }],
+      output: "foo();\n/* section */\n\nbar();\n",
+      errors: [{ messageId: "missingPaddingBetweenRootBlocks" }],
+    },
+    // Nested statements keep their indentation
+    {
+      code: "function test() {\n  a();\n  // keep me\n  b();\n}\n",
+      options: [{ nestedBlockPadding: 1, docstringPadding: 0 }],
+      output: "function test() {\n  a();\n\n  // keep me\n  b();\n}\n",
+      errors: [{ messageId: "missingPaddingBetweenNestedBlocks" }],
+    },
+    // Statements on one line are split with the indentation of that line
+    {
+      code: "function test() {\n  a(); b();\n}\n",
+      options: [{ nestedBlockPadding: 0 }],
+      output: "function test() {\n  a();\n  b();\n}\n",
+      errors: [{ messageId: "missingPaddingBetweenNestedBlocks" }],
+    },
+    // CRLF line endings are detected from the file
+    {
+      code: "foo();\r\nbar();\r\n",
+      options: [{ rootBlockPadding: 1 }],
+      output: "foo();\r\n\r\nbar();\r\n",
+      errors: [{ messageId: "missingPaddingBetweenRootBlocks" }],
+    },
+    // Line endings can be forced with an option
+    {
+      code: "foo();\nbar();\n",
+      options: [{ rootBlockPadding: 1, lineEnding: "crlf" }],
+      output: "foo();\r\n\r\nbar();\n",
+      errors: [{ messageId: "missingPaddingBetweenRootBlocks" }],
+    },
+  ],
+});
+
+ruleTester.run("block-padding (policy)", realRule, {
+  valid: [
+    // Consecutive imports form a group
+    {
+      code: "import a from 'a';\nimport b from 'b';\n",
+    },
+    // Pairs with an import, export, class or function are left to consistent-line-spacing
+    {
+      code: "import a from 'a';\nexport default a;\n",
+    },
+    {
+      code: "const a = 1;\nfunction b() {}\n",
+      settings: { whitespaced: { blankLines: { beforeFunction: 3 } } },
+    },
+    // Padding between class members can be left to class-property-grouping
+    {
+      code: "class A {\n  a = 1;\n  b = 2;\n}\n",
+      options: [{ checkClassBodies: false }],
+    },
+  ],
+  invalid: [
+    {
+      code: "const a = 1;\nconst b = 2;\n",
+      settings: { whitespaced: { blankLines: { rootBlockPadding: 1 } } },
+      output: "const a = 1;\n\nconst b = 2;\n",
+      errors: [{ messageId: "missingPaddingBetweenRootBlocks", data: { expected: 1, actual: 0, lineText: "line" } }],
+    },
+  ],
+});
@@ -3,6 +3,7 @@
  * @author tuomashatakka
  */
 
+import { createRequire } from 'module';
 import { RuleTester } from 'eslint';
 import rule from '../../../lib/rules/class-property-grouping.js';
 
@@ -128,3 +129,1252 @@ class WrongStaticOrder {
     },
   ],
 });
+
+// The cases below run the actual rule implementation
+const realRule = { ...rule, create: originalCreate };
+
+ruleTester.run("class-property-grouping (comments)", realRule, {
+  valid: [
+    {
+      code: `
+class Example {
+  static DEFAULTS = {};
+
+  // Instance state
+  id = 0;
+}
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Example {
+  static DEFAULTS = {};
+  // Instance state
+  id = 0;
+}
+      `,
+      output: `
+class Example {
+  static DEFAULTS = {};
+
+  // Instance state
+  id = 0;
+}
+      `,
+      errors: [{ messageId: "incorrectPaddingBetweenGroups" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (reordering)", realRule, {
+  valid: [],
+  invalid: [
+    // Members move into group order with their comments
+    {
+      code: `
+class Example {
+  // Creates an instance
+  constructor() {}
+
+  /** Identifier */
+  id = 0; // starts at zero
+
+  static DEFAULTS = {};
+}
+      `,
+      output: `
+class Example {
+  static DEFAULTS = {};
+
+  /** Identifier */
+  id = 0; // starts at zero
+
+  // Creates an instance
+  constructor() {}
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+    // Members are sorted by name within their group
+    {
+      code: `
+class Example {
+  static create() {}
+  static build() {}
+
+  b = 2;
+  a = 1;
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: `
+class Example {
+  static build() {}
+
+  static create() {}
+
+  a = 1;
+
+  b = 2;
+}
+      `,
+      errors: [
+        { messageId: "wrongAlphabeticalOrder" },
+        { messageId: "wrongAlphabeticalOrder" },
+      ],
+    },
+    // Code between members prevents the fix
+    {
+      code: `
+class Example {
+  run() {};
+  id = 0;
+}
+      `,
+      output: null,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // A field cannot move in front of a field its initializer reads
+    {
+      code: `
+class Example {
+  total = 10;
+  half = this.total / 2;
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: null,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    {
+      code: `
+class Limits {
+  static MAX = 10;
+  static HALF = Limits.MAX / 2;
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: null,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    // Initializers that only read fields inside functions can still move
+    {
+      code: `
+class Example {
+  total = 10;
+  getHalf = () => this.total / 2;
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: `
+class Example {
+  getHalf = () => this.total / 2;
+
+  total = 10;
+}
+      `,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    // A field without a semicolon cannot move in front of a computed key
+    {
+      code: `
+class Example {
+  [k]() {}
+
+  x = foo
+}
+      `,
+      output: null,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (matchers)", realRule, {
+  valid: [
+    // Combined keywords pick the most specific group
+    {
+      code: `
+class Example {
+  static #cache = new Map();
+
+  static count = 0;
+
+  #secret = 1;
+
+  value = 2;
+}
+      `,
+      options: [{
+        groups: [
+          { name: "static-private", types: ["ClassProperty"], matches: ["static", "private"], order: 0 },
+          { name: "static", types: ["ClassProperty"], matches: ["static"], order: 1 },
+          { name: "private", types: ["ClassProperty"], matches: ["private"], order: 2 },
+          { name: "public", types: ["ClassProperty"], matches: [], order: 3 },
+        ],
+      }],
+    },
+    // Accessors, async and generator methods and static blocks
+    {
+      code: `
+class Example {
+  static {
+    init();
+  }
+
+  get value() {}
+
+  set value(next) {}
+
+  async load() {}
+
+  *items() {}
+}
+      `,
+      options: [{
+        groups: [
+          { name: "static-blocks", types: ["StaticBlock"], order: 0 },
+          { name: "accessors-get", types: ["MethodDefinition"], matches: ["get"], order: 1 },
+          { name: "accessors-set", types: ["MethodDefinition"], matches: ["set"], order: 1 },
+          { name: "async", types: ["MethodDefinition"], matches: ["async"], order: 2 },
+          { name: "generators", types: ["MethodDefinition"], matches: ["generator"], order: 3 },
+        ],
+        paddingBetweenGroups: 1,
+      }],
+    },
+  ],
+  invalid: [
+    // Arrow function properties can be grouped as methods
+    {
+      code: `
+class Example {
+  handleClick = () => {};
+
+  id = 0;
+}
+      `,
+      options: [{ treatArrowPropertiesAsMethods: true }],
+      output: `
+class Example {
+  id = 0;
+
+  handleClick = () => {};
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // Private methods selected through the private keyword
+    {
+      code: `
+class Example {
+  #reset() {}
+
+  run() {}
+}
+      `,
+      options: [{
+        groups: [
+          { name: "public-methods", types: ["MethodDefinition"], order: 0 },
+          { name: "private-methods", types: ["MethodDefinition"], matches: ["private"], order: 1 },
+        ],
+      }],
+      output: `
+class Example {
+  run() {}
+
+  #reset() {}
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+const require = createRequire(import.meta.url);
+const typeScriptRuleTester = new RuleTester({
+  parser: require.resolve("@typescript-eslint/parser"),
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+const typeScriptGroups = [
+  { name: "public-static-readonly", types: ["ClassProperty"], matches: ["public", "static", "readonly"], order: 0 },
+  { name: "index-signatures", types: ["TSIndexSignature"], order: 1 },
+  { name: "private-fields", types: ["ClassProperty"], matches: ["private"], order: 2 },
+  { name: "fields", types: ["ClassProperty"], order: 3 },
+  { name: "constructor", types: ["MethodDefinition"], matches: ["constructor"], order: 4 },
+  { name: "abstract-methods", types: ["MethodDefinition"], matches: ["abstract"], order: 5 },
+  { name: "public-methods", types: ["MethodDefinition"], matches: ["public"], order: 6 },
+  { name: "protected-methods", types: ["MethodDefinition"], matches: ["protected"], order: 7 },
+  { name: "private-methods", types: ["MethodDefinition"], matches: ["private"], order: 8 },
+];
+
+typeScriptRuleTester.run("class-property-grouping (typescript)", realRule, {
+  valid: [
+    {
+      code: `
+abstract class Service {
+  public static readonly VERSION = 1;
+
+  [key: string]: unknown;
+
+  private cache: Map<string, string>;
+  #retries = 3;
+
+  declare name: string;
+
+  constructor(private readonly http: Http) {}
+
+  abstract run(): void;
+
+  override start() {}
+
+  protected stop() {}
+
+  private reset() {}
+}
+      `,
+      options: [{ groups: typeScriptGroups, paddingBetweenGroups: 1 }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+abstract class Service {
+  private reset() {}
+
+  protected stop() {}
+
+  start() {}
+
+  abstract run(): void;
+}
+      `,
+      options: [{ groups: typeScriptGroups }],
+      output: `
+abstract class Service {
+  abstract run(): void;
+
+  start() {}
+
+  protected stop() {}
+
+  private reset() {}
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+    {
+      code: `
+class Model {
+  private id = 0;
+
+  public static readonly KIND = "model";
+}
+      `,
+      options: [{ groups: typeScriptGroups }],
+      output: `
+class Model {
+  public static readonly KIND = "model";
+
+  private id = 0;
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+const componentGroups = [
+  { name: "inputs", decorators: ["Input"], order: 0 },
+  { name: "outputs", decorators: ["@Output"], order: 1 },
+  { name: "fields", types: ["ClassProperty"], order: 2 },
+  { name: "methods", types: ["MethodDefinition"], order: 3 },
+  { name: "handlers", types: ["MethodDefinition", "ClassProperty"], namePattern: "^(on|handle)[A-Z]", order: 4 },
+];
+
+typeScriptRuleTester.run("class-property-grouping (selectors)", realRule, {
+  valid: [
+    {
+      code: `
+class Card {
+  @Input() title: string;
+  @Input() subtitle: string;
+
+  @Output() closed = new EventEmitter();
+
+  expanded = false;
+
+  toggle() {}
+
+  onClick() {}
+  handleKey = () => {};
+}
+      `,
+      options: [{ groups: componentGroups, paddingBetweenGroups: 1 }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Card {
+  onClick() {}
+
+  @Output() closed = new EventEmitter();
+
+  toggle() {}
+
+  @Input() title: string;
+}
+      `,
+      options: [{ groups: componentGroups }],
+      output: `
+class Card {
+  @Input() title: string;
+
+  @Output() closed = new EventEmitter();
+
+  toggle() {}
+
+  onClick() {}
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("class-property-grouping (type members)", realRule, {
+  valid: [
+    // Classes are the only target by default
+    {
+      code: `
+interface Options {
+  run(): void;
+  name: string;
+}
+      `,
+    },
+    // Members sharing a line have no padding between them
+    {
+      code: `type T = { a: string; b(): void };`,
+      options: [{ targets: ["TSTypeLiteral"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+interface Options {
+  run(): void;
+
+  new (name: string): Options;
+
+  // The display name
+  name: string;
+}
+      `,
+      options: [{ targets: ["TSInterfaceBody"] }],
+      output: `
+interface Options {
+  // The display name
+  name: string;
+
+  new (name: string): Options;
+
+  run(): void;
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+    // Delimiters follow the members, and the last one keeps the original style
+    {
+      code: `
+type Handler = {
+  handle(): void;
+  id: number
+};
+      `,
+      options: [{ targets: ["TSTypeLiteral"], paddingBetweenGroups: 0 }],
+      output: `
+type Handler = {
+  id: number;
+  handle(): void
+};
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // Members of the same group stay packed
+    {
+      code: `
+interface I {
+  b: string;
+  a: number;
+}
+      `,
+      options: [{ targets: ["TSInterfaceBody"], enforceAlphabeticalSorting: true }],
+      output: `
+interface I {
+  a: number;
+  b: string;
+}
+      `,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    {
+      code: `
+type Pair = { b(): void; a: string };
+      `,
+      options: [{ targets: ["TSTypeLiteral"] }],
+      output: `
+type Pair = { a: string; b(): void };
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (object literals)", realRule, {
+  valid: [
+    // Plain data objects are not checked
+    {
+      code: `
+const data = {
+  load() {},
+  name: "data",
+};
+      `,
+      options: [{ targets: ["ObjectExpression"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+export default {
+  mounted() {},
+
+  name: "card", // component name
+  props: {}
+};
+      `,
+      options: [{ targets: ["ObjectExpression"] }],
+      output: `
+export default {
+  name: "card", // component name
+  props: {},
+
+  mounted() {}
+};
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // Spread elements split the properties into separately ordered runs
+    {
+      code: `
+defineComponent({
+  setup() {},
+
+  name: "card",
+  ...mixin,
+  render() {},
+
+  data: {},
+});
+      `,
+      options: [{ targets: ["ObjectExpression"], paddingBetweenGroups: 1 }],
+      output: `
+defineComponent({
+  name: "card",
+
+  setup() {},
+  ...mixin,
+  data: {},
+
+  render() {},
+});
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+    // Values with side effects keep their evaluation order
+    {
+      code: `
+foo({
+  run() {},
+
+  b: next(),
+  a: next(),
+});
+      `,
+      options: [{ targets: ["ObjectExpression"] }],
+      output: null,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // Members of a single-line object stay on its line
+    {
+      code: `foo({ onClick() {}, id: 1 });`,
+      options: [{ targets: ["ObjectExpression"] }],
+      output: `foo({ id: 1, onClick() {} });`,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (presets)", realRule, {
+  valid: [
+    {
+      code: `
+class Counter extends React.Component {
+  static defaultProps = { step: 1 };
+
+  state = { count: 0 };
+
+  constructor(props) {
+    super(props);
+  }
+
+  componentDidMount() {}
+
+  componentWillUnmount() {}
+
+  handleClick = () => {};
+
+  format() {}
+
+  render() {}
+}
+      `,
+      options: [{ preset: "react-class-component" }],
+    },
+    // Configured groups are added to the preset
+    {
+      code: `
+class Widget {
+  size = 1;
+
+  resize() {}
+
+  render() {}
+}
+      `,
+      options: [{
+        preset: "python-like",
+        groups: [{ name: "render", types: ["MethodDefinition"], namePattern: "^render$", order: 5 }],
+      }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Counter extends React.Component {
+  render() {}
+
+  componentDidMount() {}
+
+  handleClick = () => {};
+}
+      `,
+      options: [{ preset: "react-class-component" }],
+      output: `
+class Counter extends React.Component {
+  componentDidMount() {}
+
+  handleClick = () => {};
+
+  render() {}
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+    // A configured group replaces the preset group with the same name
+    {
+      code: `
+class Widget {
+  size = 1;
+
+  resize() {}
+}
+      `,
+      options: [{
+        preset: "python-like",
+        groups: [{ name: "instance-properties", types: ["ClassProperty"], matches: [], order: 5 }],
+      }],
+      output: `
+class Widget {
+  resize() {}
+
+  size = 1;
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("class-property-grouping (typescript presets)", realRule, {
+  valid: [
+    {
+      code: `
+class Store {
+  public static readonly key = "store";
+
+  public name: string;
+
+  protected cache: Map<string, number>;
+
+  private token: string;
+
+  constructor() {}
+
+  public load(): void {}
+
+  private reset(): void {}
+}
+      `,
+      options: [{ preset: "typescript-accessibility" }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Store {
+  private token: string;
+
+  public name: string;
+}
+      `,
+      options: [{ preset: "typescript-accessibility" }],
+      output: `
+class Store {
+  public name: string;
+
+  private token: string;
+}
+      `,
+      errors: [{ messageId: "wrongGroupOrder" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (accessor pairs)", realRule, {
+  valid: [
+    {
+      code: `
+class Box {
+  get count() {}
+  set count(value) {}
+
+  get size() {}
+  set size(value) {}
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+    },
+    {
+      code: `
+const box = {
+  get size() {},
+  set size(value) {},
+};
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Box {
+  get size() {}
+  set size(value) {}
+
+  get count() {}
+  set count(value) {}
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: `
+class Box {
+  get count() {}
+  set count(value) {}
+
+  get size() {}
+  set size(value) {}
+}
+      `,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    {
+      code: `
+class Box {
+  get size() {}
+
+  reset() {}
+
+  set size(value) {}
+}
+      `,
+      output: null,
+      errors: [{ messageId: "splitAccessorPair" }],
+    },
+    // The pair takes the group of the getter and is padded as one unit
+    {
+      code: `
+class Box {
+  get size() {}
+  set size(value) {}
+  reset() {}
+}
+      `,
+      options: [{
+        groups: [
+          { name: "getters", types: ["MethodDefinition"], matches: ["get"], order: 0 },
+          { name: "setters", types: ["MethodDefinition"], matches: ["set"], order: 1 },
+          { name: "methods", types: ["MethodDefinition"], order: 2 },
+        ],
+      }],
+      output: `
+class Box {
+  get size() {}
+  set size(value) {}
+
+  reset() {}
+}
+      `,
+      errors: [{ messageId: "incorrectPaddingBetweenGroups" }],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("class-property-grouping (overloads)", realRule, {
+  valid: [
+    {
+      code: `
+class Parser {
+  source: string;
+
+  constructor(source: string);
+  constructor(source: Buffer);
+  constructor(source: string | Buffer) {}
+}
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Parser {
+  parse(input: string): Node;
+  parse(input: Buffer): Node;
+  parse(input: string | Buffer): Node {
+    return null;
+  }
+
+  format(node: Node): string {
+    return "";
+  }
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: `
+class Parser {
+  format(node: Node): string {
+    return "";
+  }
+
+  parse(input: string): Node;
+  parse(input: Buffer): Node;
+  parse(input: string | Buffer): Node {
+    return null;
+  }
+}
+      `,
+      errors: [{ messageId: "wrongAlphabeticalOrder" }],
+    },
+    {
+      code: `
+class Parser {
+  parse(input: string): Node;
+
+  format(): void {}
+
+  parse(input: string | Buffer): Node {}
+}
+      `,
+      output: null,
+      errors: [{ messageId: "splitOverloads" }],
+    },
+    {
+      code: `
+interface Emitter {
+  on(event: "data"): void;
+  off(): void;
+  on(event: "end"): void;
+}
+      `,
+      options: [{ targets: ["TSInterfaceBody"] }],
+      output: null,
+      errors: [{ messageId: "splitOverloads" }],
+    },
+    // Sorting joins a split overload set back together without padding
+    {
+      code: `
+class Parser {
+  foo(a: string): void;
+
+  bar() {}
+
+  foo(a: number): void;
+  foo(a: any) {}
+}
+      `,
+      options: [{ enforceAlphabeticalSorting: true }],
+      output: `
+class Parser {
+  bar() {}
+
+  foo(a: string): void;
+  foo(a: number): void;
+  foo(a: any) {}
+}
+      `,
+      errors: [
+        { messageId: "wrongAlphabeticalOrder" },
+        { messageId: "splitOverloads" },
+      ],
+    },
+  ],
+});
+
+const fieldGroup = sort => [{ name: "fields", types: ["ClassProperty"], sort, order: 0 }];
+
+ruleTester.run("class-property-grouping (sort strategies)", realRule, {
+  valid: [
+    {
+      code: `
+class Grid {
+  Value = 1;
+  value = 2;
+}
+      `,
+      options: [{ groups: fieldGroup("case-insensitive") }],
+    },
+    {
+      code: `
+class Grid {
+  item2 = 2;
+  item10 = 10;
+}
+      `,
+      options: [{ groups: fieldGroup("natural") }],
+    },
+    // A group's own strategy overrides enforceAlphabeticalSorting
+    {
+      code: `
+class Grid {
+  zeta = 1;
+  alpha = 2;
+}
+      `,
+      options: [{ groups: fieldGroup("none"), enforceAlphabeticalSorting: true }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Grid {
+  item10 = 10;
+  item2 = 2;
+}
+      `,
+      options: [{ groups: fieldGroup("natural") }],
+      output: `
+class Grid {
+  item2 = 2;
+
+  item10 = 10;
+}
+      `,
+      errors: [{
+        message: "Class members in group 'fields' should be sorted in natural order. 'item2' should come before 'item10'.",
+      }],
+    },
+    {
+      code: `
+class Grid {
+  columns = [];
+
+  id = 1;
+}
+      `,
+      options: [{ groups: fieldGroup("length") }],
+      output: `
+class Grid {
+  id = 1;
+
+  columns = [];
+}
+      `,
+      errors: [{ messageId: "wrongSortOrder" }],
+    },
+    // Private names and computed keys sort by their source text
+    {
+      code: `
+class Grid {
+  #rows = [];
+
+  #columns = [];
+
+  name = "";
+
+  [key] = null;
+}
+      `,
+      options: [{ groups: fieldGroup(), enforceAlphabeticalSorting: true }],
+      output: `
+class Grid {
+  [key] = null;
+
+  #columns = [];
+
+  #rows = [];
+
+  name = "";
+}
+      `,
+      errors: [
+        { messageId: "wrongAlphabeticalOrder", data: { memberA: "#columns", memberB: "#rows" } },
+        { messageId: "wrongAlphabeticalOrder", data: { memberA: "[key]", memberB: "name" } },
+      ],
+    },
+  ],
+});
+
+typeScriptRuleTester.run("class-property-grouping (required first)", realRule, {
+  valid: [
+    {
+      code: `
+interface Column {
+  id: string;
+  width: number;
+  label?: string;
+}
+      `,
+      options: [{ targets: ["TSInterfaceBody"], groups: fieldGroup("required-first") }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+interface Column {
+  label?: string;
+
+  id: string;
+}
+      `,
+      options: [{ targets: ["TSInterfaceBody"], groups: fieldGroup("required-first") }],
+      output: `
+interface Column {
+  id: string;
+  label?: string;
+}
+      `,
+      errors: [{ messageId: "wrongSortOrder" }],
+    },
+  ],
+});
+
+ruleTester.run("class-property-grouping (padding within groups)", realRule, {
+  valid: [
+    {
+      code: `
+class Panel {
+  width = 1;
+  height = 2;
+
+  layout = {
+    columns: 2,
+  };
+
+  open() {}
+
+  close() {}
+}
+      `,
+      options: [{
+        groups: [
+          { name: "fields", types: ["ClassProperty"], order: 0 },
+          { name: "methods", types: ["MethodDefinition"], order: 1 },
+        ],
+        paddingWithinGroups: { fields: 0, multilineFields: 1, methods: 1 },
+      }],
+    },
+    // Without paddingWithinGroups, members of the same group are not checked
+    {
+      code: `
+class Panel {
+  width = 1;
+
+
+  height = 2;
+}
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Panel {
+  width = 1;
+
+  height = 2;
+  layout = {
+    columns: 2,
+  };
+
+  open() {}
+  close() {}
+}
+      `,
+      options: [{
+        paddingWithinGroups: { fields: 0, multilineFields: 1, methods: 1 },
+      }],
+      output: `
+class Panel {
+  width = 1;
+  height = 2;
+
+  layout = {
+    columns: 2,
+  };
+
+  open() {}
+
+  close() {}
+}
+      `,
+      errors: [
+        { message: "Expected 0 empty lines between fields in group 'instance-properties', but found 1." },
+        { message: "Expected 1 empty line between multi-line fields in group 'instance-properties', but found 0." },
+        { message: "Expected 1 empty line between methods in group 'instance-methods', but found 0." },
+      ],
+    },
+    // The reorder fix applies the same padding
+    {
+      code: `
+class Panel {
+  close() {}
+
+  width = 1;
+
+  height = 2;
+}
+      `,
+      options: [{ paddingWithinGroups: { fields: 0 } }],
+      output: `
+class Panel {
+  width = 1;
+  height = 2;
+
+  close() {}
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "incorrectPaddingWithinGroup" },
+      ],
+    },
+  ],
+});
+
+const groupsWithCatchAll = [
+  { name: "fields", types: ["ClassProperty"], order: 0 },
+  { name: "everything-else", catchAll: true, order: 1 },
+  { name: "methods", types: ["MethodDefinition"], order: 2 },
+];
+
+ruleTester.run("class-property-grouping (unmatched members)", realRule, {
+  valid: [
+    {
+      code: `
+class Registry {
+  items = [];
+
+  static {}
+
+  register() {}
+}
+      `,
+      options: [{ groups: groupsWithCatchAll, reportUnmatched: true }],
+    },
+    // Unmatched members are only reported when asked for
+    {
+      code: `
+class Registry {
+  static {}
+}
+      `,
+    },
+  ],
+  invalid: [
+    {
+      code: `
+class Registry {
+  register() {}
+
+  static {}
+
+  items = [];
+}
+      `,
+      options: [{ groups: groupsWithCatchAll }],
+      output: `
+class Registry {
+  items = [];
+
+  static {}
+
+  register() {}
+}
+      `,
+      errors: [
+        { messageId: "wrongGroupOrder" },
+        { messageId: "wrongGroupOrder" },
+      ],
+    },
+    {
+      code: `
+class Registry {
+  static {}
+
+  register() {}
+}
+      `,
+      options: [{
+        groups: [{ name: "fields", types: ["ClassProperty"], order: 0 }],
+        reportUnmatched: true,
+      }],
+      output: null,
+      errors: [
+        { message: "Class member 'static {}' does not match any group." },
+        { message: "Class member 'register' does not match any group." },
+      ],
+    },
+  ],
+});
@@ -72,3 +72,60 @@ export default MyComponent;
     },
   ],
 });
+
+// The cases below run the actual rule implementation
+const realRule = { ...rule, create: mockCreateFn };
+
+ruleTester.run("consistent-line-spacing (comments)", realRule, {
+  valid: [
+    {
+      code: "function a() {}\n\n// helpers\n\nfunction b() {}\n",
+    },
+  ],
+  invalid: [
+    {
+      code: "function a() {}\n// helpers\nfunction b() {}\n",
+      output: "function a() {}\n\n\n// helpers\nfunction b() {}\n",
+      errors: [{ messageId: "missingLinesAfter" }],
+    },
+  ],
+});
+
+ruleTester.run("consistent-line-spacing (policy)", realRule, {
+  valid: [
+    // Consecutive imports form a group
+    {
+      code: "import a from 'a';\nimport b from 'b';\n\nexport default a;\n",
+    },
+    // Pairs without a declaration kind are left to block-padding
+    {
+      code: "const a = 1;\nconst b = 2;\n",
+    },
+    // The deprecated beforeComment option is still accepted
+    {
+      code: "function a() {}\n\n\n// helpers\nfunction b() {}\n",
+      options: [{ beforeComment: 1 }],
+    },
+  ],
+  invalid: [
+    // The larger requirement wins: afterFunction over beforeExports
+    {
+      code: "function a() {}\n\nexport default a;\n",
+      output: "function a() {}\n\n\nexport default a;\n",
+      errors: [{ messageId: "missingLinesAfter", data: { expected: 2, actual: 1, nodeType: "function declaration", lineText: "lines" } }],
+    },
+    // An exported class counts as both an export and a class
+    {
+      code: "import a from 'a';\n\nexport class A {}\n",
+      output: "import a from 'a';\n\n\nexport class A {}\n",
+      errors: [{ messageId: "missingLinesBefore", data: { expected: 2, actual: 1, nodeType: "class declaration", lineText: "lines" } }],
+    },
+    // Shared settings apply when the rule options leave a count out
+    {
+      code: "function a() {}\n\n\nfunction b() {}\n",
+      settings: { whitespaced: { blankLines: { afterFunction: 1, beforeFunction: 1 } } },
+      output: "function a() {}\n\nfunction b() {}\n",
+      errors: [{ messageId: "missingLinesAfter" }],
+    },
+  ],
+});
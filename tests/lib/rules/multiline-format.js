@@ -79,3 +79,116 @@ const emptyArr = [];
     }
   ],
 });
+
+// Value alignment is tested against the real rule
+const realRule = { ...rule, create: mockCreateFn };
+
+ruleTester.run("multiline-format (value alignment)", realRule, {
+  valid: [
+    {
+      code: `
+const config =
+{
+  name:    "app",
+  timeout: 5000,
+  retries: 3,
+};
+      `,
+      options: [{ objectAlignment: "value" }],
+    },
+    // Shorthand, spread and method properties keep their own layout
+    {
+      code: `
+const handlers =
+{
+  ...defaults,
+  id:       1,
+  callback: () => {},
+  name,
+  render() {},
+};
+      `,
+      options: [{ objectAlignment: "value" }],
+    },
+  ],
+  invalid: [
+    {
+      code: `
+const config =
+{
+  name: "app",
+  timeout: 5000,
+  retries:   3,
+};
+      `,
+      options: [{ objectAlignment: "value" }],
+      output: `
+const config =
+{
+  name:    "app",
+  timeout: 5000,
+  retries: 3,
+};
+      `,
+      errors: [{ messageId: "incorrectValueAlignment" }],
+    },
+    {
+      code: `
+const handlers =
+{
+  ...defaults,
+  id: 1,
+  name,
+  callback: () => {},
+  render() {},
+};
+      `,
+      options: [{ objectAlignment: "value" }],
+      output: `
+const handlers =
+{
+  ...defaults,
+  id:       1,
+  name,
+  callback: () => {},
+  render() {},
+};
+      `,
+      errors: [{ messageId: "incorrectValueAlignment" }],
+    },
+    {
+      code: `
+const config =
+{
+  // the name
+  name: "app",
+  timeout: 5000, // ms
+  retries: /* attempts */ 3,
+};
+      `,
+      options: [{ objectAlignment: "value" }],
+      output: `
+const config =
+{
+  // the name
+  name:    "app",
+  timeout: 5000, // ms
+  retries: /* attempts */ 3,
+};
+      `,
+      errors: [{ messageId: "incorrectValueAlignment" }],
+    },
+    {
+      code: `const point =
+{ x: 1, longer: 2, z: 3 };`,
+      options: [{ objectAlignment: "value" }],
+      output: `const point =
+{
+  x:      1,
+  longer: 2,
+  z:      3,
+};`,
+      errors: [{ messageId: "singleLineToMultiline" }],
+    },
+  ],
+});